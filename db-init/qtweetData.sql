@@ -1,12 +1,26 @@
 CREATE TABLE twitterUsers (
     "twitterId" BIGINT PRIMARY KEY,
-    "name" text
+    "name" text,
+    "lastTweetId" BIGINT DEFAULT NULL,
+    "missedChecks" integer NOT NULL DEFAULT 0,
+    "status" text NOT NULL DEFAULT 'active',
+    "statusChangedAt" timestamp NOT NULL DEFAULT now()
+);
+
+CREATE TABLE twitterUserHandles (
+    "twitterId" BIGINT REFERENCES twitterUsers ON DELETE CASCADE,
+    "handle" text NOT NULL,
+    "changedAt" timestamp NOT NULL DEFAULT now()
 );
 
 CREATE TABLE guilds (
     "guildId"     BIGINT PRIMARY KEY,
     "prefix"      text DEFAULT NULL,
-    "lang"        text DEFAULT NULL
+    "lang"        text DEFAULT NULL,
+    "videos"      text DEFAULT NULL,
+    "previews"    boolean NOT NULL DEFAULT true,
+    "timezone"    text DEFAULT NULL,
+    "sensitive"   text DEFAULT NULL
 );
 
 CREATE TABLE channels (
@@ -22,5 +36,62 @@ CREATE TABLE subs (
     "isDM" boolean NOT NULL,
     "flags" integer NOT NULL,
     "msg" text DEFAULT NULL,
+    "include" text DEFAULT NULL,
+    "exclude" text DEFAULT NULL,
+    "digest" text DEFAULT NULL,
+    "sensitive" text DEFAULT NULL,
     CONSTRAINT sub_key PRIMARY KEY("twitterId", "channelId")
-);
\ No newline at end of file
+);
+CREATE TABLE queries (
+    "queryId" BIGSERIAL PRIMARY KEY,
+    "query" text NOT NULL UNIQUE
+);
+CREATE TABLE querySubs (
+    "queryId" BIGINT REFERENCES queries ON DELETE CASCADE,
+    "channelId" BIGINT REFERENCES channels ON DELETE CASCADE,
+    "isDM" boolean NOT NULL,
+    "flags" integer NOT NULL,
+    "msg" text DEFAULT NULL,
+    "include" text DEFAULT NULL,
+    "exclude" text DEFAULT NULL,
+    "digest" text DEFAULT NULL,
+    "sensitive" text DEFAULT NULL,
+    CONSTRAINT query_sub_key PRIMARY KEY("queryId", "channelId")
+);
+CREATE TABLE posts (
+    "tweetId" BIGINT NOT NULL,
+    "channelId" BIGINT REFERENCES channels ON DELETE CASCADE,
+    "messageId" BIGINT NOT NULL,
+    "threadId" BIGINT DEFAULT NULL,
+    "syncDeletes" boolean NOT NULL DEFAULT false,
+    "postedAt" timestamp NOT NULL DEFAULT now(),
+    CONSTRAINT post_key PRIMARY KEY("tweetId", "channelId")
+);
+CREATE TABLE digestEntries (
+    "tweetId" BIGINT NOT NULL,
+    "channelId" BIGINT REFERENCES channels ON DELETE CASCADE,
+    "digest" text NOT NULL,
+    "username" text NOT NULL,
+    "type" text NOT NULL,
+    "text" text NOT NULL,
+    "url" text NOT NULL,
+    "addedAt" timestamp NOT NULL DEFAULT now(),
+    CONSTRAINT digest_entry_key PRIMARY KEY("tweetId", "channelId")
+);
+CREATE TABLE deliveries (
+    "id" BIGSERIAL PRIMARY KEY,
+    "channelId" BIGINT REFERENCES channels ON DELETE CASCADE,
+    "tweetId" BIGINT DEFAULT NULL,
+    "type" text NOT NULL,
+    "content" jsonb NOT NULL,
+    "attempts" integer NOT NULL DEFAULT 0,
+    "nextAttempt" timestamp NOT NULL DEFAULT now(),
+    "lastError" integer DEFAULT NULL,
+    "dead" boolean NOT NULL DEFAULT false,
+    "createdAt" timestamp NOT NULL DEFAULT now()
+);
+CREATE INDEX deliveries_due ON deliveries("nextAttempt") WHERE NOT "dead";
+CREATE TABLE botState (
+    "key" text PRIMARY KEY,
+    "value" text DEFAULT NULL
+);
@@ -53,6 +53,15 @@ usage-stop =
   Unsubscribe from the given user.
   {-b}{-usage}{-b}: `{-pr}stop <{-screen-name-variable}>`
 
+usage-search =
+  Subscribe to a search query, like a hashtag, and post matching tweets in real time.
+  {-b}{-usage}{-b}: `{-pr}search <query> [flags]`
+  Queries use Twitter's rule syntax, like `#ourgame -is:retweet has:images`, and take the same flags as `{-pr}start`.
+
+usage-stopsearch =
+  Unsubscribe from the given search query.
+  {-b}{-usage}{-b}: `{-pr}stopsearch <query>`
+
 usage-stopchannel =
   Exactly like {-pr}stop but acts on the whole channel.
   {-b}{-usage}{-b}: `{-pr}stopchannel [channel ID]`
@@ -107,6 +116,13 @@ tweetUnknwnError =
 
 noTweets = It doesn't look like {$screenName} has any tweets...
 
+sensitiveTweetsSkipped =
+  {$count ->
+    [one] {-b}I skipped a tweet flagged as sensitive{-b}
+    *[other] {-b}I skipped {$count} tweets flagged as sensitive{-b}
+  }
+  This server doesn't post sensitive tweets outside of age-restricted channels.
+
 noValidTweets =
   {-b}This user doesn't seem to have any valid tweets{-b}
   You might want to try again, maybe Twitter messed up?
@@ -149,10 +165,64 @@ formatUserNames = {$count ->
     *[other] {$names} and {$lastName}
   }
 
+invalidFilter =
+  {-b}I can't use `{$term}` as a filter{-b}
+  Filters are keywords, `"quoted phrases"`, `#hashtags` or short `/regexes/`. Regexes can only use the `i` flag, and can't use backreferences or lookarounds like `(?=...)`.
+
+invalidTemplate =
+  {-b}I can't understand `{$part}` in your message{-b}
+  Messages can use `{"{"}author{"}"}`, `{"{"}handle{"}"}`, `{"{"}url{"}"}`, `{"{"}type{"}"}`, `{"{"}text{"}"}` and `{"{"}hashtags{"}"}`, and show parts only for some tweets with `{"{"}if retweet|reply{"}"}...{"{"}else{"}"}...{"{"}end{"}"}`. Use `{"{{"}` and `{"}}"}` for literal braces. Messages can be up to 1000 characters long.
+
+invalidDigest =
+  {-b}I can't use `{$digest}` as a digest schedule{-b}
+  Digests can be `hourly`, `daily`, or `daily HH:MM` to pick the time they get posted at, in the server's timezone.
+
+invalidSensitivePolicy =
+  {-b}I don't know what to do with sensitive tweets when asked to `{$policy}`{-b}
+  Sensitive tweets can be posted behind a `spoiler`, skipped with `skip`, or posted as usual with `show`.
+
 startUpdateSuccess = 
   {-b}{$addedObjectName} updated!{-b}
   Your new flags have been registered. The changes should be instant.
 
+## !!search
+searchSuccess =
+  {-b}You're now subscribed to `{$query}`!{-b}
+  Remember you can stop me at any time with `{-pr}stopsearch {$query}`.
+  It can take up to 20min to start getting tweets, but once it starts, it'll be in real time!
+
+searchUpdateSuccess =
+  {-b}`{$query}` updated!{-b}
+  Your new flags have been registered. The changes should be instant.
+
+invalidQuery =
+  {-b}I can't search for `{$query}`{-b}
+  {$reason ->
+    [empty] Tell me what to look for, like a `#hashtag` or some keywords.
+    [tooLong] Queries can be up to 512 characters long.
+    [unbalanced] Some quotes or parentheses aren't closed.
+    [noStandalone] Queries need at least a keyword, `#hashtag`, `"phrase"` or `from:` to look for, operators like `-word` or `has:images` only narrow a search down.
+    [onlyUsers] Use `{-pr}start` to follow accounts.
+    *[twitter] Twitter says: {$detail}
+  }
+
+queryLimit =
+  {-b}I can't follow any more searches!{-b}
+  Twitter limits how many accounts and searches every app can follow, and I've reached that limit. You can still subscribe to searches other channels already follow.
+
+searchGeneralError =
+  {-b}Something went wrong checking this search with Twitter.{-b}
+  {-error-apology}
+
+## !!stopsearch
+noSuchSearch =
+  {-b}Not subscribed to `{$query}`{-b}
+  Use `{-pr}list` for a list of subscriptions!
+
+stopSearchSuccess =
+  {-b}I've unsubscribed you from `{$query}`{-b}
+  You should stop getting any tweets from it.
+
 ## !!leaveguild
 noValidGid = No valid guild ID provided
 
@@ -178,8 +248,8 @@ noSuchChannel =
 
 stopChannelSuccess =
   {-b}I've unsubscribed you from {$subs ->
-    [one] one user
-    *[other] {$subs} users
+    [one] one subscription
+    *[other] {$subs} subscriptions
   }.{-b}
   You should now stop getting any tweets in `{$channelName}`.
 
@@ -192,6 +262,35 @@ langSuccess =
   {-b}Language changed successfully{-b}
   Welcome to the magical world of english!
 
+## /config
+videoPolicySuccess =
+  {-b}Video settings changed successfully{-b}
+  {$policy ->
+    *[auto] I'll attach videos when they're small enough to upload here, and link them otherwise.
+    [link] I'll always post a link to videos along with their thumbnail.
+  }
+
+timezoneSuccess = {-b}Daily digests now follow the {$timezone} timezone{-b}
+
+sensitivePolicySuccess =
+  {-b}Sensitive tweet settings changed successfully{-b}
+  {$policy ->
+    [spoiler] I'll hide the text and media of sensitive tweets behind spoilers, except in age-restricted channels.
+    [skip] I won't post sensitive tweets, except in age-restricted channels.
+    *[show] I'll post sensitive tweets like any other tweet.
+  }
+
+invalidTimezone =
+  {-b}I don't know the {$timezone} timezone{-b}
+  Timezones are names like `Europe/Paris` or `America/New_York`, you can find yours at https://en.wikipedia.org/wiki/List_of_tz_database_time_zones
+
+previewsSuccess =
+  {-b}Link preview settings changed successfully{-b}
+  {$enabled ->
+    *[yes] I'll show a preview image for links in text tweets.
+    [no] I won't look up previews for links anymore.
+  }
+
 prefixSuccess =
   {-b}Prefix changed successfully{-b}
   You'll now have to use {$prefix} for me to understand you!
@@ -227,6 +326,13 @@ twitterUnknwnError =
   {-b}Something went wrong interacting with twitter!{-b}
   {-error-apology}
 
+twitterRateLimited =
+  {-b}Twitter is asking me to slow down{-b}
+  Please try again in {$minutes ->
+    [one] a minute
+   *[other] {$minutes} minutes
+  }.
+
 ### Command permissions error msg
 # Short error indicator showing this command is for bot owners
 -botOwnerCmd = Bot Owner command
@@ -236,6 +342,9 @@ twitterUnknwnError =
 announceForAdmin =
   {-b}{-botOwnerCmd}{-b}
   Sorry, only my owner can do announcements!
+statusForAdmin =
+  {-b}{-botOwnerCmd}{-b}
+  Sorry, only my owner can see my streams' status!
 cmdInDms = 
   {-b}{-notAuthorized}{-b}
   This command is only allowed in DMs.
@@ -251,6 +360,9 @@ langForMods =
 prefixForMods = 
   {-b}{-notAuthorized}{-b}
   Only server-level moderators can change the prefix!
+configForMods =
+  {-b}{-notAuthorized}{-b}
+  Only server-level moderators can change my settings!
 ### Lists
 genericEmptyList = List is empty, nothing to display.
 
@@ -275,7 +387,36 @@ formatFlags = With {$notext ->
   } and {$replies -> 
     *[0] no replies
     [1] replies
-  } being posted.
+  } being posted.{$threads ->
+    *[0] {""}
+    [1] {" "}Threads are kept together.
+  }{$syncdeletes ->
+    *[0] {""}
+    [1] {" "}Tweets deleted on Twitter get deleted here too.
+  }{$plaintext ->
+    *[0] {""}
+    [1] {" "}Tweets are posted as plain text with a link.
+  }{$notices ->
+    *[0] {""}
+    [1] {" "}This channel is told when the account changes.
+  }
+
+# Subscription filters, shown in the subscription list
+formatIncludeFilter = Only posting tweets matching: `{$filter}`
+formatExcludeFilter = Not posting tweets matching: `{$filter}`
+# Subscription digest schedule, shown in the subscription list
+formatDigest = Tweets are posted together in a digest: `{$digest}`
+# Subscription's own policy for sensitive tweets, shown in the subscription list
+formatSensitive = Sensitive tweets: `{$policy}`
+# Handles an account had before, in the subscription list
+formatQueryTitle = 🔎 {$query}
+formatPreviousHandles = Previously {$handles}
+# Shown next to accounts we can't get tweets from in the subscription list
+accountStatusFlag = :warning: {$status ->
+    [protected] Protected, tweets can't be posted
+    [suspended] Suspended
+   *[deleted] Deleted
+  }
 
 genericObjects = {$count} {$count -> 
     [one] object
@@ -292,6 +433,91 @@ languages = {$count} {$count ->
     *[other] languages
   }
 
+streams = {$count} {$count -> 
+    [one] stream
+    *[other] streams
+  }
+noStreams = No stream has been created yet.
+streamTitle = Stream #{$id}
+streamStatus = {$state ->
+    [connected] Connected
+    [reconnecting] Reconnecting in {$delay}s
+    *[disconnected] Disconnected
+  }
+  {$users} users, {$queries} searches, {$rules} rules
+quotas = {$count} {$count ->
+    [one] rate limit
+    *[other] rate limits
+  }
+noQuotas = Twitter hasn't told me about any rate limit yet.
+quotaTitle = {$endpoint} (app {$app})
+quotaStatus = {$remaining}/{$limit} requests left{$minutes ->
+    [0] {""}
+   *[other] , resets in {$minutes} min
+  }{$queued ->
+    [0] {""}
+   *[other] , {$queued} waiting
+  }
+streamsDescription = Following {$users} out of {$capacity} possible users.{$polling ->
+    [poll] {" "}Currently polling user timelines.
+    [backfill] {" "}Currently backfilling missed tweets.
+    *[none] {""}
+  }
+
+# Name of the Discord threads we keep tweet threads in
+tweetThreadName = Thread by @{$username}
+
+# Sent to a channel's owner when we gave up posting something there
+deliveryFailed =
+  {-b}I couldn't post in <#{$channelId}>{-b}
+  {$tweetId ->
+    [0] A digest
+   *[other] The tweet https://twitter.com/i/status/{$tweetId}
+  } still failed to post after several tries, so I gave up on it. Please check that I can still see that channel and send messages, embeds and files there.
+
+# Sent to subscriptions using the notices option when an account changes
+accountRenamed = {-b}@{$previous} is now @{$name}{-b}, I'll keep posting their tweets here.
+accountStatusChanged = {-b}@{$name}{-b} {$status ->
+    [protected] went private, I can't post their tweets until they're public again.
+    [suspended] was suspended by Twitter, I can't post their tweets anymore.
+    [deleted] doesn't exist anymore, I can't post their tweets anymore.
+   *[active] is back, I'll post their tweets here again.
+  }
+
+# Sent to channels subscribed to an account we stopped following because it's gone from Twitter
+userRemoved = {-b}I removed this channel's subscription to @{$name}{-b}: {$status ->
+    [suspended] Twitter suspended their account.
+   *[deleted] their account doesn't exist anymore.
+  }
+
+### Digests
+digestTitle = {$count ->
+    [one] 1 new tweet
+   *[other] {$count} new tweets
+  }
+digestEntry = {$type ->
+    [retweet] 🔁
+    [reply] ↩️
+    [quote] 💬
+   *[tweet] 🐦
+  } [@{$username}]({$url}): {$text}
+
+### Tweet embeds
+# {$name} is the name of the tweet's author, as shown in the embed
+embedRetweet = {$name} [RT BY @{$username}]
+embedReply = {$name} [REPLY TO @{$username}]
+embedQuoted = [QUOTED] {$name}
+embedVideoLink = Link to video
+embedPoll = 📊 Poll
+embedPollResults = 📊 Final results
+embedPollVotes = {$votes ->
+    [one] {$votes} vote
+   *[other] {$votes} votes
+  }
+# {$date} is a Discord timestamp
+embedPollEnds = Ends {$date}
+embedPollEnded = Ended {$date}
+
 ### Posting errors
 postPermissionError =
   {-b}Missing Permissions:{-b} I couldn't send a message in {$name}.
@@ -304,7 +530,7 @@ userLimit =
   {-b}I've hit my user limit!{-b} Your subscription request contained accounts no one else is subscribed to, so I had to drop them.
 
   {-b}Why did you do this?{-b}
-  Twitter currently limits every app to 5 000 subscriptions. If you're reading this I have reached that limit, and I have no choice - if I ask for more users then everything will break for everyone.
+  Twitter limits how many accounts every app can follow, and with the apps I have that's {$limit} accounts. If you're reading this I have reached that limit, and I have no choice - if I ask for more users then everything will break for everyone.
 
   {-b}What are you doing to fix this?{-b}
   I've been working really hard to try and find options to get out of this situation, and it's been very stressful for me, because I really want everyone to get their tweets. However so far no option seems perfect.
@@ -0,0 +1,33 @@
+// Keeps what we know of followed accounts up to date,
+// and tells the subscriptions that asked for it when an account is renamed or its status changes
+import log from './log';
+import { isSet } from './flags';
+import { post } from './shardMgr/shardManager';
+import { renameUser, setUserStatus } from './db/user';
+import { getUserSubs } from './db/subs';
+
+const notify = async (twitterId, content) => {
+  const subs = await getUserSubs(twitterId);
+  subs
+    .filter(({ flags }) => isSet(flags, 'notices'))
+    .forEach(({ channelId, isDM }) => post({ channelId, isDM }, content, 'translated'));
+};
+
+// Takes what Twitter just told us about an account, either of handle and status can be left out
+export default async (twitterId, { handle = null, status = null }) => {
+  try {
+    const previous = handle ? await renameUser(twitterId, handle) : null;
+    if (previous) {
+      log(`⚙️ @${previous} (${twitterId}) is now @${handle}`);
+      await notify(twitterId, { trCode: 'accountRenamed', previous, name: handle });
+    }
+    const changed = status ? await setUserStatus(twitterId, status) : null;
+    if (changed) {
+      log(`⚙️ @${changed.name} (${twitterId}) went from ${changed.previous} to ${status}`);
+      await notify(twitterId, { trCode: 'accountStatusChanged', name: changed.name, status });
+    }
+  } catch (e) {
+    log(`❌ Couldn't update account ${twitterId}:`);
+    log(e);
+  }
+};
@@ -0,0 +1,17 @@
+// Twitter lets us look up this many users or tweets at once
+const LOOKUP_SIZE = 100;
+
+// Calls lookup with these users or tweets, LOOKUP_SIZE of them at a time,
+// and returns what each call returned.
+// Lookups are sent one at a time to go easy on the rate limit,
+// the first one that fails stops the others.
+const batchedLookup = async (items, lookup) => {
+  const results = [];
+  for (let i = 0; i < items.length; i += LOOKUP_SIZE) {
+    // eslint-disable-next-line no-await-in-loop
+    results.push(await lookup(items.slice(i, i + LOOKUP_SIZE)));
+  }
+  return results;
+};
+
+export default batchedLookup;
@@ -0,0 +1,78 @@
+import { getInt, pool } from '.';
+
+// A post we owe a channel, until a shard tells us it went through
+export type DbDelivery = {
+  id: string;
+  channelId: string;
+  isDM: boolean;
+  type: string;
+  content: any;
+  attempts: number;
+}
+
+// A delivery we gave up on
+export type DeadDelivery = {
+  id: string;
+  channelId: string;
+  ownerId: string;
+  tweetId: string | null;
+  type: string;
+  lastError: number | null;
+}
+
+// Adds a delivery, counting the attempt we're about to make. It's up for retrying once ackDelay seconds pass.
+export const addDelivery = async (channelId: string, tweetId: string | null, type: string, content: any, ackDelay: number) => {
+  const { rows: [{ id }] } = await pool.query<{id: string}>(`INSERT INTO deliveries("channelId", "tweetId", "type", "content", "attempts", "nextAttempt")
+  VALUES($1, $2, $3, $4, 1, now() + make_interval(secs => $5))
+  RETURNING ${getInt('"id"')}`, [channelId, tweetId, type, JSON.stringify(content), ackDelay]);
+  return id;
+};
+
+// Takes the deliveries due for another attempt and counts that attempt,
+// they're up for retrying again once ackDelay seconds pass
+export const claimDueDeliveries = async (maxAttempts: number, ackDelay: number, limit: number) => {
+  const { rows } = await pool.query<DbDelivery>(`UPDATE deliveries SET "attempts" = deliveries."attempts" + 1, "nextAttempt" = now() + make_interval(secs => $2)
+  FROM channels
+  WHERE deliveries."channelId" = channels."channelId" AND deliveries."id" IN (
+    SELECT "id" FROM deliveries WHERE NOT "dead" AND "attempts" < $1 AND "nextAttempt" <= now() ORDER BY "id" LIMIT $3
+  )
+  RETURNING ${getInt('deliveries."id"', '"id"')}, ${getInt('deliveries."channelId"', '"channelId"')}, channels."isDM", deliveries."type", deliveries."content", deliveries."attempts"`,
+  [maxAttempts, ackDelay, limit]);
+  return rows;
+};
+
+export const rmDelivery = async (id: string) => {
+  const { rowCount } = await pool.query('DELETE FROM deliveries WHERE "id" = $1', [id]);
+  return rowCount;
+};
+
+// Records a failed attempt, the delivery is up for retrying in delay seconds.
+// Deliveries posted in several messages remember how many of them went through, in their content's `posted`.
+// Does nothing if the delivery was attempted again since, that attempt's outcome is the one that counts
+export const retryDelivery = async (id: string, attempt: number, code: number, delay: number, posted: number = 0) => {
+  const { rowCount } = await pool.query(`UPDATE deliveries SET "lastError" = $3, "nextAttempt" = now() + make_interval(secs => $4),
+    "content" = CASE WHEN $5::integer > 0 THEN jsonb_set("content", '{posted}', to_jsonb($5::integer)) ELSE "content" END
+  WHERE "id" = $1 AND "attempts" = $2 AND NOT "dead"`, [id, attempt, code, delay, posted]);
+  return rowCount;
+};
+
+const deadReturning = `RETURNING ${getInt('deliveries."id"', '"id"')}, ${getInt('deliveries."channelId"', '"channelId"')}, ${getInt('channels."ownerId"', '"ownerId"')},
+  ${getInt('deliveries."tweetId"', '"tweetId"')}, deliveries."type", deliveries."lastError"`;
+
+// Gives up on a delivery that can't succeed, unless it was attempted again since
+export const killDelivery = async (id: string, attempt: number, code: number) => {
+  const { rows: [dead] } = await pool.query<DeadDelivery>(`UPDATE deliveries SET "dead" = true, "lastError" = $3
+  FROM channels
+  WHERE deliveries."channelId" = channels."channelId" AND deliveries."id" = $1 AND deliveries."attempts" = $2 AND NOT deliveries."dead"
+  ${deadReturning}`, [id, attempt, code]);
+  return dead || null;
+};
+
+// Gives up on the deliveries that used up all their attempts
+export const killExpiredDeliveries = async (maxAttempts: number) => {
+  const { rows } = await pool.query<DeadDelivery>(`UPDATE deliveries SET "dead" = true
+  FROM channels
+  WHERE deliveries."channelId" = channels."channelId" AND NOT deliveries."dead" AND deliveries."attempts" >= $1 AND deliveries."nextAttempt" <= now()
+  ${deadReturning}`, [maxAttempts]);
+  return rows;
+};
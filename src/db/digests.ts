@@ -0,0 +1,44 @@
+import { getInt, pool } from '.';
+
+// What we remember of a tweet waiting for its digest
+export type DigestEntry = {
+  tweetId: string;
+  username: string;
+  type: string;
+  text: string;
+  url: string;
+}
+
+// Digests waiting to go out, one per channel and schedule
+export type PendingDigest = {
+  channelId: string;
+  isDM: boolean;
+  digest: string;
+  timezone: string | null;
+  since: Date;
+}
+
+export const addDigestEntry = async (channelId: string, digest: string, {
+  tweetId, username, type, text, url,
+}: DigestEntry) => {
+  const { rowCount } = await pool.query(`INSERT INTO digestEntries("tweetId", "channelId", "digest", "username", "type", "text", "url")
+  VALUES($1, $2, $3, $4, $5, $6, $7)
+  ON CONFLICT ON CONSTRAINT digest_entry_key DO NOTHING`, [tweetId, channelId, digest, username, type, text, url]);
+  return rowCount;
+};
+
+export const getPendingDigests = async () => {
+  const { rows } = await pool.query<PendingDigest>(`SELECT ${getInt('digestEntries."channelId"', '"channelId"')}, channels."isDM", "digest", guilds."timezone", MIN("addedAt") AS "since"
+  FROM digestEntries INNER JOIN channels ON digestEntries."channelId" = channels."channelId" LEFT JOIN guilds ON channels."guildId" = guilds."guildId"
+  GROUP BY digestEntries."channelId", channels."isDM", "digest", guilds."timezone"`);
+  return rows;
+};
+
+// Takes a digest's entries out of the table, oldest first
+export const takeDigestEntries = async (channelId: string, digest: string) => {
+  const { rows } = await pool.query<DigestEntry & {addedAt: Date}>(`DELETE FROM digestEntries WHERE "channelId" = $1 AND "digest" = $2
+  RETURNING ${getInt('"tweetId"')}, "username", "type", "text", "url", "addedAt"`, [channelId, digest]);
+  return rows
+    .sort((a, b) => a.addedAt.getTime() - b.addedAt.getTime())
+    .map(({ addedAt, ...entry }) => entry);
+};
@@ -1,11 +1,19 @@
 import { pool, sanityCheck } from "./index";
+import { DEFAULT_SENSITIVE_POLICY, SensitivePolicy } from "../sensitive";
 
 type DbGuild = {
   guildId: string;
   prefix: string;
   lang: string
+  videos: string | null
+  previews: boolean
+  timezone: string | null
+  sensitive: SensitivePolicy | null
 }
 
+// How we post videos: 'auto' attaches them when they fit the upload limit, 'link' always links them
+export type VideoPolicy = 'auto' | 'link'
+
 export const createGuild = async (guildId: string) => {
     const { rowCount } = await pool.query('INSERT INTO guilds("guildId") VALUES($1) ON CONFLICT DO NOTHING',
       [guildId]);
@@ -44,6 +52,48 @@ export const getLang = async (guildId: string) => {
   return guild ? guild.lang : process.env.DEFAULT_LANG;
 };
 
+export const setVideoPolicy = async (guildId: string, policy: VideoPolicy) => {
+  const { rowCount } = await pool.query(`INSERT INTO guilds("guildId", "videos")
+  VALUES($1, $2)
+  ON CONFLICT("guildId") DO
+    UPDATE SET "videos"=$2`,
+  [guildId, policy]);
+  return rowCount;
+};
+
+export const getVideoPolicy = async (guildId: string): Promise<VideoPolicy> => {
+  const { rows: [guild] } = await pool.query<{videos: VideoPolicy | null}>('SELECT "videos" FROM guilds WHERE "guildId"=$1', [guildId]);
+  return (guild && guild.videos) || 'auto';
+};
+
+export const setSensitivePolicy = async (guildId: string, policy: SensitivePolicy) => {
+  const { rowCount } = await pool.query(`INSERT INTO guilds("guildId", "sensitive")
+  VALUES($1, $2)
+  ON CONFLICT("guildId") DO
+    UPDATE SET "sensitive"=$2`,
+  [guildId, policy]);
+  return rowCount;
+};
+
+export const getSensitivePolicy = async (guildId: string): Promise<SensitivePolicy> => {
+  const { rows: [guild] } = await pool.query<{sensitive: SensitivePolicy | null}>('SELECT "sensitive" FROM guilds WHERE "guildId"=$1', [guildId]);
+  return (guild && guild.sensitive) || DEFAULT_SENSITIVE_POLICY;
+};
+
+export const setPreviews = async (guildId: string, previews: boolean) => {
+  const { rowCount } = await pool.query(`INSERT INTO guilds("guildId", "previews")
+  VALUES($1, $2)
+  ON CONFLICT("guildId") DO
+    UPDATE SET "previews"=$2`,
+  [guildId, previews]);
+  return rowCount;
+};
+
+export const getPreviews = async (guildId: string): Promise<boolean> => {
+  const { rows: [guild] } = await pool.query<{previews: boolean}>('SELECT "previews" FROM guilds WHERE "guildId"=$1', [guildId]);
+  return guild ? guild.previews : true;
+};
+
 export const setPrefix = async (guildId: string, prefix: string) => {
   const { rows: [{ case: inserted }] } = await pool.query<{case: number}>(`INSERT INTO guilds("guildId", "prefix")
   VALUES($1, $2)
@@ -65,3 +115,12 @@ export const getGuildInfo = async (guildId: string) => {
   const lang = (data && data.lang) || process.env.DEFAULT_LANG;
   return { prefix, lang };
 };
+
+export const setTimezone = async (guildId: string, timezone: string) => {
+  const { rowCount } = await pool.query(`INSERT INTO guilds("guildId", "timezone")
+  VALUES($1, $2)
+  ON CONFLICT("guildId") DO
+    UPDATE SET "timezone"=$2`,
+  [guildId, timezone]);
+  return rowCount;
+};
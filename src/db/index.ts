@@ -25,6 +25,9 @@ export const sanityCheck = async () => {
   let channels = 0;
   let guilds = 0;
   let users = 0;
+  let queries = 0;
+  let posts = 0;
+  let deliveries = 0;
   try {
     await client.query('BEGIN');
     // Remove channels that are linked to no subs
@@ -32,6 +35,9 @@ export const sanityCheck = async () => {
     WHERE NOT EXISTS (
       SELECT FROM subs
       WHERE  subs."channelId" = channels."channelId"
+    ) AND NOT EXISTS (
+      SELECT FROM querySubs
+      WHERE  querySubs."channelId" = channels."channelId"
     );`));
     // Remove guilds that are linked to no channels.
     // ({ rowCount: guilds } = await client.query(`DELETE FROM guilds
@@ -45,11 +51,25 @@ export const sanityCheck = async () => {
       SELECT FROM subs
       WHERE  twitterUsers."twitterId" = subs."twitterId"
     );`));
+    // Remove queries that are linked to no subs
+    ({ rowCount: queries } = await client.query(`DELETE FROM queries
+    WHERE NOT EXISTS (
+      SELECT FROM querySubs
+      WHERE  queries."queryId" = querySubs."queryId"
+    );`));
+    // Forget messages old enough that no one will reply to their tweet anymore
+    ({ rowCount: posts } = await client.query(`DELETE FROM posts
+    WHERE "postedAt" < now() - interval '30 days';`));
+    // Forget deliveries we gave up on a while ago
+    ({ rowCount: deliveries } = await client.query(`DELETE FROM deliveries
+    WHERE "dead" AND "createdAt" < now() - interval '7 days';`));
     await client.query('COMMIT');
   } catch (e) {
     await client.query('ROLLBACK');
   } finally {
     client.release();
   }
-  return { users, channels, guilds };
+  return {
+    users, queries, channels, guilds, posts, deliveries,
+  };
 };
@@ -0,0 +1,110 @@
+import { pool } from './index';
+import log from '../log';
+
+// db-init/qtweetData.sql only runs when the database is created,
+// these bring databases created with an older version of it up to date.
+// Every statement must be safe to run again, they all run each time the bot starts.
+const migrations: string[] = [
+  // Subscription filters
+  `ALTER TABLE subs
+    ADD COLUMN IF NOT EXISTS "include" text DEFAULT NULL,
+    ADD COLUMN IF NOT EXISTS "exclude" text DEFAULT NULL`,
+  // Where polling picks up each user's timeline
+  'ALTER TABLE twitterUsers ADD COLUMN IF NOT EXISTS "lastTweetId" BIGINT DEFAULT NULL',
+  // Messages threads continue off
+  `CREATE TABLE IF NOT EXISTS posts (
+    "tweetId" BIGINT NOT NULL,
+    "channelId" BIGINT REFERENCES channels ON DELETE CASCADE,
+    "messageId" BIGINT NOT NULL,
+    "threadId" BIGINT DEFAULT NULL,
+    "postedAt" timestamp NOT NULL DEFAULT now(),
+    CONSTRAINT post_key PRIMARY KEY("tweetId", "channelId")
+  )`,
+  // Posts deleted along with their tweet
+  'ALTER TABLE posts ADD COLUMN IF NOT EXISTS "syncDeletes" boolean NOT NULL DEFAULT false',
+  // Guild video policy
+  'ALTER TABLE guilds ADD COLUMN IF NOT EXISTS "videos" text DEFAULT NULL',
+  // Guild link previews setting
+  'ALTER TABLE guilds ADD COLUMN IF NOT EXISTS "previews" boolean NOT NULL DEFAULT true',
+  // Digests
+  'ALTER TABLE guilds ADD COLUMN IF NOT EXISTS "timezone" text DEFAULT NULL',
+  'ALTER TABLE subs ADD COLUMN IF NOT EXISTS "digest" text DEFAULT NULL',
+  `CREATE TABLE IF NOT EXISTS digestEntries (
+    "tweetId" BIGINT NOT NULL,
+    "channelId" BIGINT REFERENCES channels ON DELETE CASCADE,
+    "digest" text NOT NULL,
+    "username" text NOT NULL,
+    "type" text NOT NULL,
+    "text" text NOT NULL,
+    "url" text NOT NULL,
+    "addedAt" timestamp NOT NULL DEFAULT now(),
+    CONSTRAINT digest_entry_key PRIMARY KEY("tweetId", "channelId")
+  )`,
+  // Delivery queue
+  `CREATE TABLE IF NOT EXISTS deliveries (
+    "id" BIGSERIAL PRIMARY KEY,
+    "channelId" BIGINT REFERENCES channels ON DELETE CASCADE,
+    "tweetId" BIGINT DEFAULT NULL,
+    "type" text NOT NULL,
+    "content" jsonb NOT NULL,
+    "attempts" integer NOT NULL DEFAULT 0,
+    "nextAttempt" timestamp NOT NULL DEFAULT now(),
+    "lastError" integer DEFAULT NULL,
+    "dead" boolean NOT NULL DEFAULT false,
+    "createdAt" timestamp NOT NULL DEFAULT now()
+  )`,
+  'CREATE INDEX IF NOT EXISTS deliveries_due ON deliveries("nextAttempt") WHERE NOT "dead"',
+  // User checks
+  'ALTER TABLE twitterUsers ADD COLUMN IF NOT EXISTS "missedChecks" integer NOT NULL DEFAULT 0',
+  `CREATE TABLE IF NOT EXISTS botState (
+    "key" text PRIMARY KEY,
+    "value" text DEFAULT NULL
+  )`,
+  // Account handles and status
+  `ALTER TABLE twitterUsers
+    ADD COLUMN IF NOT EXISTS "status" text NOT NULL DEFAULT 'active',
+    ADD COLUMN IF NOT EXISTS "statusChangedAt" timestamp NOT NULL DEFAULT now()`,
+  `CREATE TABLE IF NOT EXISTS twitterUserHandles (
+    "twitterId" BIGINT REFERENCES twitterUsers ON DELETE CASCADE,
+    "handle" text NOT NULL,
+    "changedAt" timestamp NOT NULL DEFAULT now()
+  )`,
+  // Search queries
+  `CREATE TABLE IF NOT EXISTS queries (
+    "queryId" BIGSERIAL PRIMARY KEY,
+    "query" text NOT NULL UNIQUE
+  )`,
+  `CREATE TABLE IF NOT EXISTS querySubs (
+    "queryId" BIGINT REFERENCES queries ON DELETE CASCADE,
+    "channelId" BIGINT REFERENCES channels ON DELETE CASCADE,
+    "isDM" boolean NOT NULL,
+    "flags" integer NOT NULL,
+    "msg" text DEFAULT NULL,
+    "include" text DEFAULT NULL,
+    "exclude" text DEFAULT NULL,
+    "digest" text DEFAULT NULL,
+    CONSTRAINT query_sub_key PRIMARY KEY("queryId", "channelId")
+  )`,
+  // Sensitive tweets policy
+  'ALTER TABLE guilds ADD COLUMN IF NOT EXISTS "sensitive" text DEFAULT NULL',
+  'ALTER TABLE subs ADD COLUMN IF NOT EXISTS "sensitive" text DEFAULT NULL',
+  'ALTER TABLE querySubs ADD COLUMN IF NOT EXISTS "sensitive" text DEFAULT NULL',
+];
+
+// Runs every migration in a single transaction, so a failed one doesn't leave the schema half updated
+export const migrate = async () => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (let i = 0; i < migrations.length; i += 1) {
+      await client.query(migrations[i]);
+    }
+    await client.query('COMMIT');
+    log(`✅ Database schema is up to date (${migrations.length} migrations)`);
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+};
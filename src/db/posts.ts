@@ -0,0 +1,45 @@
+import { getInt, pool } from '.';
+
+// A Discord message we posted a tweet in
+export type DbPost = {
+  tweetId: string;
+  channelId: string;
+  messageId: string;
+  threadId: string | null;
+}
+
+export const addPost = async (tweetId: string, channelId: string, messageId: string, threadId: string | null = null, syncDeletes = false) => {
+  const { rowCount } = await pool.query(`INSERT INTO posts("tweetId", "channelId", "messageId", "threadId", "syncDeletes") VALUES($1, $2, $3, $4, $5)
+  ON CONFLICT ON CONSTRAINT post_key DO UPDATE SET "messageId" = $3, "threadId" = $4, "syncDeletes" = $5, "postedAt" = now()`, [tweetId, channelId, messageId, threadId, syncDeletes]);
+  return rowCount;
+};
+
+export const getPost = async (tweetId: string, channelId: string) => {
+  const { rows: [post] } = await pool.query<DbPost>(`SELECT ${getInt('"tweetId"')}, ${getInt('"channelId"')}, ${getInt('"messageId"')}, ${getInt('"threadId"')}
+  FROM posts WHERE "tweetId" = $1 AND "channelId" = $2`, [tweetId, channelId]);
+  return post || null;
+};
+
+// Tweets posted in the last maxAge hours whose deletion we should mirror
+export const getSyncedTweetIds = async (maxAge: number) => {
+  const { rows } = await pool.query<{tweetId: string}>(`SELECT DISTINCT ${getInt('"tweetId"')} FROM posts
+  WHERE "syncDeletes" AND "postedAt" > now() - make_interval(hours => $1)`, [maxAge]);
+  return rows.map(({ tweetId }) => tweetId);
+};
+
+export const getSyncedPosts = async (tweetIds: string[]) => {
+  const { rows } = await pool.query<DbPost & {isDM: boolean}>(`SELECT ${getInt('posts."tweetId"', '"tweetId"')}, ${getInt('posts."channelId"', '"channelId"')}, ${getInt('"messageId"')}, ${getInt('"threadId"')}, channels."isDM"
+  FROM posts INNER JOIN channels ON posts."channelId" = channels."channelId"
+  WHERE posts."syncDeletes" AND posts."tweetId" = ANY($1::bigint[])`, [tweetIds]);
+  return rows;
+};
+
+export const rmPosts = async (tweetIds: string[]) => {
+  const { rowCount } = await pool.query('DELETE FROM posts WHERE "tweetId" = ANY($1::bigint[])', [tweetIds]);
+  return rowCount;
+};
+
+export const setPostThread = async (tweetId: string, channelId: string, threadId: string) => {
+  const { rowCount } = await pool.query('UPDATE posts SET "threadId" = $3 WHERE "tweetId" = $1 AND "channelId" = $2', [tweetId, channelId, threadId]);
+  return rowCount;
+};
@@ -0,0 +1,112 @@
+import { QCSerialized } from "../shard/QChannel/type";
+import { getInt, pool, sanityCheck } from "./index";
+import { addChannel } from "./channels";
+import { SubSettings } from "./subs";
+import { DEFAULT_SENSITIVE_POLICY, SensitivePolicy } from "../sensitive";
+
+// A search query, its ID is the tag of its stream rule
+export type DbQuery = {
+  queryId: string
+  query: string
+}
+
+type DbQuerySubscription = {
+  queryId: string
+  query?: string
+  channelId: string
+  isDM: boolean
+  flags: number
+  msg: string | null
+  include: string | null
+  exclude: string | null
+  previews?: boolean
+  digest: string | null
+  sensitive: SensitivePolicy | null
+}
+
+export const getQueries = async () => {
+  const { rows } = await pool.query<DbQuery>(`SELECT ${getInt('"queryId"')}, "query" FROM queries ORDER BY "queryId"`);
+  return rows;
+};
+
+// Returns the ID of this query, and 1 if we didn't know it yet
+const addQuery = async (query: string) => {
+  const { rows: [{ queryId, inserted }] } = await pool.query<{queryId: string, inserted: number}>(`
+  INSERT INTO queries("query") VALUES($1)
+    ON CONFLICT("query") DO UPDATE SET "query" = EXCLUDED."query"
+  RETURNING ${getInt('"queryId"')}, case when xmax::text::int > 0 then 0 else 1 end AS "inserted"`,
+  [query]);
+  return { queryId, inserted };
+};
+
+const addQuerySubscription = async (
+  channelId: string,
+  queryId: string,
+  isDM: boolean,
+  {
+    flags, msg, include, exclude, digest, sensitive,
+  }: SubSettings) => {
+  const { rows: [{ case: inserted }] } = await pool.query<{case: number}>(`
+  INSERT INTO
+    querySubs("channelId", "queryId", "flags", "isDM", "msg", "include", "exclude", "digest", "sensitive")
+  VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT ON CONSTRAINT query_sub_key
+  DO UPDATE SET "flags"=$3, "msg"=$5, "include"=$6, "exclude"=$7, "digest"=$8, "sensitive"=$9
+  RETURNING case when xmax::text::int > 0 then 0 else 1 end`,
+  [channelId, queryId, flags, isDM, msg || null, include || null, exclude || null, digest || null, sensitive || null]);
+  return inserted;
+};
+
+// The subscriptions to these queries, with everything we need to post in their channel
+export const getQuerySubs = async (queryIds: string[]) => {
+  if (queryIds.length === 0) return [];
+  const { rows } = await pool.query<DbQuerySubscription>(`SELECT ${getInt(
+    'querySubs."channelId"', '"channelId"',
+  )}, ${getInt('"queryId"')}, "flags", querySubs."isDM" AS "isDM", "msg", "include", "exclude", "digest", COALESCE(guilds."previews", true) AS "previews",
+  COALESCE(querySubs."sensitive", guilds."sensitive", '${DEFAULT_SENSITIVE_POLICY}') AS "sensitive"
+  FROM querySubs INNER JOIN channels ON querySubs."channelId" = channels."channelId" LEFT JOIN guilds ON channels."guildId" = guilds."guildId"
+  WHERE querySubs."queryId" = ANY($1::bigint[])`, [queryIds]);
+  return rows;
+};
+
+export const getChannelQuerySubs = async (channelId: string) => {
+  const { rows } = await pool.query<DbQuerySubscription>(`SELECT ${getInt(
+    'querySubs."queryId"', '"queryId"',
+  )},
+    "query",
+    "flags",
+    "msg",
+    "include",
+    "exclude",
+    "digest",
+    "sensitive"
+    FROM querySubs INNER JOIN queries ON querySubs."queryId" = queries."queryId"
+    WHERE querySubs."channelId"=$1
+    ORDER BY querySubs."queryId"`,
+  [channelId]);
+  return rows;
+};
+
+// Add a subscription to this query or update an existing one
+export const addQuerySub = async (
+  {
+    channelId, isDM, guildId, ownerId,
+  }: QCSerialized & {guildId: string, ownerId: string},
+  query: string,
+  settings: SubSettings,
+) => {
+  const { queryId, inserted: queries } = await addQuery(query);
+  const channels = await addChannel(channelId, guildId, ownerId, isDM);
+  const subs = await addQuerySubscription(channelId, queryId, isDM, settings);
+  return { subs, queries, channels };
+};
+
+// Remove a subscription to this query
+// If no one else follows it, delete it as well
+export const rmQuerySub = async (channelId: string, query: string) => {
+  const { rowCount: subs } = await pool.query(`DELETE FROM querySubs USING queries
+  WHERE querySubs."queryId" = queries."queryId" AND querySubs."channelId" = $1 AND queries."query" = $2`,
+  [channelId, query]);
+  const { channels, queries } = await sanityCheck();
+  return { subs, channels, queries };
+};
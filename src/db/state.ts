@@ -0,0 +1,14 @@
+import { pool } from '.';
+
+// Small values we need to remember across restarts, by key
+
+export const getState = async (key: string) => {
+  const { rows: [row] } = await pool.query<{value: string | null}>('SELECT "value" FROM botState WHERE "key" = $1', [key]);
+  return row ? row.value : null;
+};
+
+export const setState = async (key: string, value: string | null) => {
+  const { rowCount } = await pool.query(`INSERT INTO botState("key", "value") VALUES($1, $2)
+  ON CONFLICT("key") DO UPDATE SET "value" = EXCLUDED."value"`, [key, value]);
+  return rowCount;
+};
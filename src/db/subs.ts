@@ -2,13 +2,34 @@ import { QCSerialized } from "../shard/QChannel/type";
 import { getInt, pool, sanityCheck } from "./index";
 import { addChannel } from "./channels";
 import { addUser } from "./user";
+import { SubFilters } from "../filters";
+import { DEFAULT_SENSITIVE_POLICY, SensitivePolicy } from "../sensitive";
 
 type DbSubscription = {
   twitterId: string
   channelId: string
   isDM: string
-  flags: string
+  flags: number
   msg: string
+  include: string | null
+  exclude: string | null
+  previews?: boolean
+  digest: string | null
+  sensitive: SensitivePolicy | null
+  // Only when asked for the subscribed user's name
+  name?: string
+  status?: string
+  previousHandles?: string | null
+}
+
+// Everything a user can set on a subscription
+export type SubSettings = SubFilters & {
+  flags: number
+  msg: string | null
+  // Digest schedule, null to post tweets as they come
+  digest: string | null
+  // What to do with sensitive tweets, null to do what the guild does
+  sensitive: SensitivePolicy | null
 }
 
 export const getAllSubs = async () => {
@@ -21,17 +42,18 @@ export const getAllSubs = async () => {
 export const addSubscription = async (
   channelId: string,
   twitterId: string,
-  flags: number,
   isDM: boolean,
-  msg: string) => {
+  {
+    flags, msg, include, exclude, digest, sensitive,
+  }: SubSettings) => {
   const { rows: [{ case: inserted }] } = await pool.query<{case: number}>(`
   INSERT INTO 
-    subs("channelId", "twitterId", "flags", "isDM", "msg")
-  VALUES($1, $2, $3, $4, $5)
+    subs("channelId", "twitterId", "flags", "isDM", "msg", "include", "exclude", "digest", "sensitive")
+  VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9)
     ON CONFLICT ON CONSTRAINT sub_key
-  DO UPDATE SET "flags"=$3, "msg"=$5
+  DO UPDATE SET "flags"=$3, "msg"=$5, "include"=$6, "exclude"=$7, "digest"=$8, "sensitive"=$9
   RETURNING case when xmax::text::int > 0 then 0 else 1 end`,
-  [channelId, twitterId, flags, isDM, msg || null]);
+  [channelId, twitterId, flags, isDM, msg || null, include || null, exclude || null, digest || null, sensitive || null]);
   return inserted;
 };
 
@@ -62,8 +84,15 @@ export const getChannelSubs = async (channelId: string, withName = false) => {
       '"twitterId"',
     )},
     "name",
+    "status",
+    (SELECT string_agg("handle", ' ' ORDER BY "changedAt" DESC) FROM twitterUserHandles
+      WHERE twitterUserHandles."twitterId" = subs."twitterId") AS "previousHandles",
     "flags",
-    "msg" 
+    "msg",
+    "include",
+    "exclude",
+    "digest",
+    "sensitive"
     FROM subs INNER JOIN twitterUsers ON subs."twitterId" = twitterUsers."twitterId"
     WHERE subs."channelId"=$1`
     : `SELECT ${getInt(
@@ -82,8 +111,11 @@ export const getUserSubs = async (twitterId: string, withInfo = false) => {
         '"ownerId"',
       )}, "subs."isDM"" AS "isDM" FROM subs INNER JOIN channels ON subs."channelId" = channels."channelId" WHERE subs."twitterId"=$1;`
       : `SELECT ${getInt(
-        '"channelId"',
-      )}, "flags", "isDM", "msg" FROM subs WHERE "twitterId"=$1`, [twitterId],
+        'subs."channelId"', '"channelId"',
+      )}, "flags", subs."isDM" AS "isDM", "msg", "include", "exclude", "digest", COALESCE(guilds."previews", true) AS "previews",
+      COALESCE(subs."sensitive", guilds."sensitive", '${DEFAULT_SENSITIVE_POLICY}') AS "sensitive"
+      FROM subs INNER JOIN channels ON subs."channelId" = channels."channelId" LEFT JOIN guilds ON channels."guildId" = guilds."guildId"
+      WHERE subs."twitterId"=$1`, [twitterId],
   );
   return rows;
 };
@@ -95,12 +127,11 @@ export const add = async (
   }: QCSerialized & {guildId: string, ownerId: string},
   twitterId: string,
   name: string,
-  flags: number,
-  msg: string
+  settings: SubSettings,
 ) => {
   const users = await addUser(twitterId, name);
   const channels = await addChannel(channelId, guildId, ownerId, isDM);
-  const subs = await addSubscription(channelId, twitterId, flags, isDM, msg);
+  const subs = await addSubscription(channelId, twitterId, isDM, settings);
   return { subs, users, channels };
 };
 
@@ -1,23 +1,55 @@
 import { getInt, pool, sanityCheck } from './index'
 
+// What we know of an account: 'active' accounts can be followed,
+// 'protected' ones hide their tweets from us, 'suspended' and 'deleted' ones are gone
+export type AccountStatus = 'active' | 'protected' | 'suspended' | 'deleted';
+
 type DbUser = {
   twitterId: string;
   name: string;
+  lastTweetId: string | null;
+  status: AccountStatus;
+  statusChangedAt: Date;
 }
 
 export const getUserIds = async () => {
-    const { rows } = await pool.query<{twitterId: string}>(`SELECT ${getInt('"twitterId"')} FROM twitterUsers`);
+    const { rows } = await pool.query<{twitterId: string, lastTweetId: string | null}>(`SELECT ${getInt('"twitterId"')}, ${getInt('"lastTweetId"')} FROM twitterUsers`);
     return rows;
   };
 
-export const getUsersForSanityCheck = async (limit: number, cursor: number) => {
-  const { rows } = await pool.query<DbUser>(`SELECT ${getInt('"twitterId"')} FROM twitterUsers LIMIT $1 OFFSET $2`, [limit, cursor * limit]);
+// Remember the latest tweet we know of for this user, never going backwards
+export const setLastTweetId = async (twitterId: string, tweetId: string) => {
+  const { rowCount } = await pool.query(`UPDATE twitterUsers SET "lastTweetId" = $2
+  WHERE "twitterId" = $1 AND ("lastTweetId" IS NULL OR "lastTweetId" < $2)`, [twitterId, tweetId]);
+  return rowCount;
+};
+
+// The next users to check, in order, starting after the user with this ID
+export const getUsersForSanityCheck = async (limit: number, afterId: string | null) => {
+  const { rows } = await pool.query<DbUser>(`SELECT ${getInt('"twitterId"')}, "name" FROM twitterUsers
+  WHERE $2::bigint IS NULL OR "twitterId" > $2
+  ORDER BY "twitterId" LIMIT $1`, [limit, afterId]);
+  return rows;
+};
+
+// These users were found on Twitter again
+export const resetMissedChecks = async (userIds: string[]) => {
+  const { rowCount } = await pool.query(`UPDATE twitterUsers SET "missedChecks" = 0
+  WHERE "twitterId" = ANY($1::bigint[]) AND "missedChecks" > 0`, [userIds]);
+  return rowCount;
+};
+
+// Counts a check these users failed, returns how many they failed in a row
+export const addMissedCheck = async (userIds: string[]) => {
+  const { rows } = await pool.query<{twitterId: string, missedChecks: number}>(`UPDATE twitterUsers SET "missedChecks" = "missedChecks" + 1
+  WHERE "twitterId" = ANY($1::bigint[])
+  RETURNING ${getInt('"twitterId"')}, "missedChecks"`, [userIds]);
   return rows;
 };
 
 export const bulkDeleteUsers = async (userIds: string[]) => {
   // Delete these users
-  const { rowCount } = await pool.query(`DELETE FROM twitterUsers WHERE "twitterId" IN (${userIds.join(',')})`);
+  const { rowCount } = await pool.query('DELETE FROM twitterUsers WHERE "twitterId" = ANY($1::bigint[])', [userIds]);
   return rowCount;
 };
 
@@ -26,12 +58,27 @@ export const getUserInfo = async (twitterId: string) => {
   return info;
 };
 
-export const updateUser = async (user: any) => {
-  const usrInfo = await getUserInfo(user.id);
-  if (!usrInfo || usrInfo.name !== user.name) {
-    return addUser(user.id, user.name);
+// Changes a user's handle, keeping the previous one in their history.
+// Returns the previous handle, or null if it didn't change
+export const renameUser = async (twitterId: string, handle: string) => {
+  const { rows: [renamed] } = await pool.query<{previous: string}>(`UPDATE twitterUsers SET "name" = $2
+  FROM (SELECT "twitterId", "name" FROM twitterUsers WHERE "twitterId" = $1 FOR UPDATE) AS old
+  WHERE twitterUsers."twitterId" = old."twitterId" AND old."name" IS DISTINCT FROM $2
+  RETURNING old."name" AS "previous"`, [twitterId, handle]);
+  if (!renamed) return null;
+  if (renamed.previous) {
+    await pool.query('INSERT INTO twitterUserHandles("twitterId", "handle") VALUES($1, $2)', [twitterId, renamed.previous]);
   }
-  return 0;
+  return renamed.previous;
+};
+
+// Returns the user's handle and previous status if their status changed, null otherwise
+export const setUserStatus = async (twitterId: string, status: AccountStatus) => {
+  const { rows: [changed] } = await pool.query<{name: string, previous: AccountStatus}>(`UPDATE twitterUsers SET "status" = $2, "statusChangedAt" = now()
+  FROM (SELECT "twitterId", "status" FROM twitterUsers WHERE "twitterId" = $1 FOR UPDATE) AS old
+  WHERE twitterUsers."twitterId" = old."twitterId" AND old."status" <> $2
+  RETURNING twitterUsers."name", old."status" AS "previous"`, [twitterId, status]);
+  return changed || null;
 };
 
 export const addUser = async (twitterId: string, name: string) => {
@@ -0,0 +1,61 @@
+import log from './log';
+import batchedLookup from './batchedLookup';
+import { getSyncedPosts, getSyncedTweetIds, rmPosts } from './db/posts';
+
+// Delay between two checks, in ms. 0 disables checking for deleted tweets
+const checkInterval = (Number(process.env.DELETION_CHECK_INTERVAL) || 0) * 60 * 1000;
+// How far back we look for deleted tweets, in hours
+const maxAge = Number(process.env.DELETION_CHECK_MAX_AGE) || 24;
+
+// The filtered stream doesn't tell us about deleted tweets,
+// so we regularly look up the tweets we recently posted
+// for subscriptions that asked us to mirror deletions.
+class DeletionChecker {
+  // request(endpoint, fn) calls fn with our client once the endpoint's rate limit allows it
+  constructor(request, deletePost) {
+    this.request = request;
+    this.deletePost = deletePost;
+    this.timeout = null;
+  }
+
+  start() {
+    if (!checkInterval || this.timeout) return;
+    log(`⚙️ Checking for deleted tweets every ${checkInterval}ms`);
+    this.schedule();
+  }
+
+  schedule() {
+    this.timeout = setTimeout(() => {
+      this.timeout = null;
+      this.check();
+    }, checkInterval);
+  }
+
+  // Returns which of these tweets Twitter says don't exist anymore
+  async findDeleted(tweetIds) {
+    const { errors = [] } = await this.request('GET /2/tweets', (client) => client.v2.tweets(tweetIds));
+    return errors
+      .filter(({ type, resource_type: resourceType }) => resourceType === 'tweet'
+        && type && type.endsWith('/resource-not-found'))
+      .map(({ resource_id: resourceId, value }) => resourceId || value);
+  }
+
+  async check() {
+    try {
+      const tweetIds = await getSyncedTweetIds(maxAge);
+      const deleted = (await batchedLookup(tweetIds, (batch) => this.findDeleted(batch))).flat();
+      if (deleted.length > 0) {
+        const posts = await getSyncedPosts(deleted);
+        posts.forEach(this.deletePost);
+        await rmPosts(deleted);
+        log(`⚙️ ${deleted.length} tweet(s) were deleted from Twitter, deleting ${posts.length} Discord message(s)`);
+      }
+    } catch (e) {
+      log('❌ Error while checking for deleted tweets:');
+      log(e.data || e);
+    }
+    this.schedule();
+  }
+}
+
+export default DeletionChecker;
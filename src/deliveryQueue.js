@@ -0,0 +1,119 @@
+import log from './log';
+import Backup from './backup';
+import {
+  addDelivery, claimDueDeliveries, killDelivery, killExpiredDeliveries, retryDelivery, rmDelivery,
+} from './db/deliveries';
+
+// How many times we try posting something before giving up
+const maxAttempts = Number(process.env.DELIVERY_MAX_ATTEMPTS) || 5;
+// Delay before the first retry, in seconds. Each retry waits twice as long as the last one
+const retryDelay = Number(process.env.DELIVERY_RETRY_DELAY) || 30;
+// Longest we wait between two retries, in seconds
+const MAX_RETRY_DELAY = 60 * 60;
+// How long a shard has to tell us how a post went before we try again, in seconds
+const ackTimeout = Number(process.env.DELIVERY_ACK_TIMEOUT) || 60;
+// Delay between two looks at deliveries due for a retry, in ms
+const CHECK_INTERVAL = 10 * 1000;
+// How many deliveries we retry at once
+const BATCH_SIZE = 100;
+
+// Return codes from the shard's post functions that no retry is going to fix:
+// 2: the shard already warned the channel something's wrong with it
+// 4: there's no way to reach the channel at all
+const PERMANENT_FAILURES = [2, 4];
+
+// How long we wait before another attempt, after this many failed ones
+const delayAfter = (attempts) => {
+  const backup = new Backup({ startValue: retryDelay, maxValue: MAX_RETRY_DELAY });
+  for (let i = 1; i < attempts; i += 1) backup.increment();
+  return backup.value();
+};
+
+// Every post we owe a channel is written to the database before it's sent to the shards,
+// and stays there until the shard that posted it acknowledges it.
+// Failed posts, and the ones no shard acknowledged in time, are retried with a growing delay.
+// Once they fail for good, they're kept aside as dead letters and the channel's owner is told.
+class DeliveryQueue {
+  constructor(post, notifyOwner) {
+    this.post = post;
+    this.notifyOwner = notifyOwner;
+    this.timeout = null;
+  }
+
+  start() {
+    if (this.timeout) return;
+    this.schedule();
+  }
+
+  schedule() {
+    this.timeout = setTimeout(() => {
+      this.timeout = null;
+      this.check();
+    }, CHECK_INTERVAL);
+  }
+
+  // The shard sends the delivery's id and attempt back along with how it went
+  send({
+    id, channelId, isDM, type, content, attempts,
+  }) {
+    this.post({ channelId, isDM }, { ...content, delivery: { id, attempt: attempts } }, type);
+  }
+
+  // Records a delivery, then sends it. Falls back to sending it right away if we can't record it
+  async enqueue(qChannel, tweetId, content, type) {
+    let id = null;
+    try {
+      id = await addDelivery(qChannel.channelId, tweetId, type, content, ackTimeout);
+    } catch (e) {
+      log(`❌ Couldn't queue a delivery for ${qChannel.channelId}, sending it without a safety net`);
+      log(e);
+      this.post(qChannel, content, type);
+      return;
+    }
+    this.send({
+      id, ...qChannel, type, content, attempts: 1,
+    });
+  }
+
+  // Called when a shard tells us how posting a delivery went, with the post function's return code.
+  // Failures reported for an older attempt than the latest one are ignored.
+  // The next attempt starts after the messages this one managed to post
+  async acknowledge({ id, attempt }, code, posted = 0) {
+    try {
+      if (code === 0) {
+        await rmDelivery(id);
+      } else if (PERMANENT_FAILURES.includes(code)) {
+        const dead = await killDelivery(id, attempt, code);
+        if (dead) this.deadLetter(dead);
+      } else {
+        // Out of attempts, it gets dead-lettered when it comes up again
+        await retryDelivery(id, attempt, code, delayAfter(attempt), posted);
+      }
+    } catch (e) {
+      log(`❌ Couldn't update delivery ${id}:`);
+      log(e);
+    }
+  }
+
+  deadLetter(dead) {
+    log(`❌ Gave up on delivery ${dead.id} to ${dead.channelId} (last error: ${dead.lastError})`);
+    // The shard already told them about these
+    if (PERMANENT_FAILURES.includes(dead.lastError)) return;
+    this.notifyOwner(dead);
+  }
+
+  async check() {
+    try {
+      (await killExpiredDeliveries(maxAttempts)).forEach((dead) => this.deadLetter(dead));
+      const due = await claimDueDeliveries(maxAttempts, ackTimeout, BATCH_SIZE);
+      if (due.length > 0) log(`⚙️ Retrying ${due.length} deliveries`, null, true);
+      due.forEach((delivery) => this.send(delivery));
+    } catch (e) {
+      log('❌ Error while retrying deliveries:');
+      log(e);
+    }
+    this.schedule();
+  }
+}
+
+export default DeliveryQueue;
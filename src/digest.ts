@@ -0,0 +1,88 @@
+// This module defines digest schedules
+// A subscription with a digest schedule doesn't post tweets as they come,
+// they're collected and posted together once per period. Schedules are stored in the subs table:
+// - `hourly` posts a digest at the start of every hour
+// - `daily` or `daily HH:MM` posts one every day at that time, in the guild's timezone
+
+export type DigestSchedule = { period: 'hourly' } | { period: 'daily', hour: number, minute: number };
+
+const DEFAULT_DAILY_HOUR = 9;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Parses a schedule, returns null if it isn't one
+export const parseDigest = (str: string | null): DigestSchedule | null => {
+  if (!str) return null;
+  const [period, time, ...rest] = str.trim().toLowerCase().split(/\s+/);
+  if (rest.length > 0) return null;
+  if (period === 'hourly' && !time) return { period };
+  if (period !== 'daily') return null;
+  if (!time) return { period, hour: DEFAULT_DAILY_HOUR, minute: 0 };
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+  if (!match) return null;
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour > 23 || minute > 59) return null;
+  return { period, hour, minute };
+};
+
+// The way we store a schedule, or null if this isn't a valid schedule
+export const normalizeDigest = (str: string | null): string | null => {
+  const schedule = parseDigest(str);
+  if (!schedule) return null;
+  if (schedule.period === 'hourly') return 'hourly';
+  const pad = (n: number) => `${n}`.padStart(2, '0');
+  return `daily ${pad(schedule.hour)}:${pad(schedule.minute)}`;
+};
+
+export const isValidTimezone = (timezone: string): boolean => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (e) {
+    return false;
+  }
+  return true;
+};
+
+// How far ahead of UTC this timezone is at this time, in ms
+const timezoneOffset = (time: number, timezone: string): number => {
+  const parts = Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(time));
+  const get = (type: string) => Number(parts.find((p) => p.type === type).value);
+  const asUTC = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUTC - (time - (time % 1000));
+};
+
+// When it's this time in this timezone, in ms. Local times are in ms as if the timezone was UTC.
+// Times skipped when clocks go forward are moved forward with them,
+// times that happen twice when clocks go back are the first one.
+const fromLocalTime = (local: number, timezone: string): number => {
+  const times = [timezoneOffset(local - DAY, timezone), timezoneOffset(local + DAY, timezone)]
+    .map((offset) => local - offset);
+  const valid = times.filter((time) => time + timezoneOffset(time, timezone) === local);
+  return valid.length > 0 ? Math.min(...valid) : Math.max(...times);
+};
+
+// Returns when the first digest after this time goes out, in ms.
+// Unknown timezones are treated as UTC.
+export const nextDigest = (str: string, since: number, timezone: string | null): number => {
+  const schedule = parseDigest(str) || { period: 'hourly' };
+  const tz = timezone && isValidTimezone(timezone) ? timezone : 'UTC';
+  // Times in the guild's timezone, as if it was UTC
+  const local = since + timezoneOffset(since, tz);
+  if (schedule.period === 'hourly') {
+    // Clocks change by whole hours nearly everywhere, so hours start at the same minute after a change
+    return since - (local % HOUR) + HOUR;
+  }
+  const today = local - (local % DAY) + schedule.hour * HOUR + schedule.minute * 60 * 1000;
+  const next = fromLocalTime(today, tz);
+  return next > since ? next : fromLocalTime(today + DAY, tz);
+};
@@ -0,0 +1,52 @@
+import log from './log';
+import { getPendingDigests, takeDigestEntries } from './db/digests';
+import { nextDigest } from './digest';
+
+// Delay between two looks at pending digests, in ms
+const CHECK_INTERVAL = 60 * 1000;
+
+// Posts the digests that are due.
+// Entries wait in the database, and a digest is due once its schedule ticks after its oldest entry,
+// so digests that should have gone out while we were down go out as soon as we're back.
+class DigestScheduler {
+  constructor(postDigest) {
+    this.postDigest = postDigest;
+    this.timeout = null;
+  }
+
+  start() {
+    if (this.timeout) return;
+    this.schedule();
+  }
+
+  schedule() {
+    this.timeout = setTimeout(() => {
+      this.timeout = null;
+      this.check();
+    }, CHECK_INTERVAL);
+  }
+
+  async check() {
+    try {
+      const now = Date.now();
+      const due = (await getPendingDigests()).filter(({ digest, since, timezone }) => (
+        nextDigest(digest, since.getTime(), timezone) <= now
+      ));
+      for (let i = 0; i < due.length; i += 1) {
+        const { channelId, isDM, digest } = due[i];
+        // eslint-disable-next-line no-await-in-loop
+        const entries = await takeDigestEntries(channelId, digest);
+        if (entries.length > 0) {
+          this.postDigest({ channelId, isDM }, { digest, entries });
+        }
+      }
+      if (due.length > 0) log(`⚙️ Posted ${due.length} digest(s)`, null, true);
+    } catch (e) {
+      log('❌ Error while posting digests:');
+      log(e);
+    }
+    this.schedule();
+  }
+}
+
+export default DigestScheduler;
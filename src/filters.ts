@@ -0,0 +1,118 @@
+// This module defines subscription content filters
+// A filter is a space-separated list of terms, stored as-is in the subs table:
+// - `#tag` matches a hashtag
+// - `/pattern/` or `/pattern/i` is a regex
+// - `"some words"` or `word` is a keyword, matched case-insensitively on word boundaries
+// Filters run on every tweet for every subscription, so regexes go through RE2:
+// it matches in linear time, where a pattern like (a+)+$ could keep JavaScript's engine busy for minutes.
+import { RE2JS } from 're2js';
+
+export type FilterTerm = {
+  type: 'keyword' | 'hashtag' | 'regex';
+  value: string;
+  // Whether this term appears in a text
+  test: (text: string) => boolean;
+}
+
+export type SubFilters = {
+  include: string | null;
+  exclude: string | null;
+}
+
+// What a filter gets tested against
+export type FilterableTweet = {
+  text: string;
+  hashtags: string[];
+}
+
+const MAX_REGEX_LENGTH = 100;
+const MAX_TERMS = 20;
+
+const termRegex = /"([^"]+)"|\/((?:\\.|[^/\\])+)\/([a-z]*)|(\S+)/g;
+
+const escapeRegex = (str: string) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Anything that isn't a letter, a number or an underscore counts as a word boundary
+const keywordRegex = (word: string) => new RegExp(`(?:^|[^\\p{L}\\p{N}_])${escapeRegex(word)}(?:$|[^\\p{L}\\p{N}_])`, 'iu');
+
+// Compiles a user's regex, or returns null if it's too long or RE2 doesn't support it.
+// RE2 has no backreferences or lookarounds, which is what lets it match in linear time.
+const compileRegex = (pattern: string, flags = ''): RE2JS | null => {
+  if (pattern.length > MAX_REGEX_LENGTH) return null;
+  if (flags.replace('i', '').length > 0) return null;
+  try {
+    return RE2JS.compile(pattern, flags.includes('i') ? RE2JS.CASE_INSENSITIVE : 0);
+  } catch (e) {
+    return null;
+  }
+};
+
+const regexTest = (re: RegExp) => (text: string) => re.test(text);
+
+// Parses a filter string, throwing the first invalid term as an Error message
+export const parseFilter = (str: string | null): FilterTerm[] => {
+  if (!str) return [];
+  const terms: FilterTerm[] = [];
+  termRegex.lastIndex = 0;
+  let match = termRegex.exec(str);
+  while (match) {
+    const [raw, quoted, pattern, flags, word] = match;
+    if (pattern !== undefined) {
+      const re = compileRegex(pattern, flags);
+      if (!re) throw new Error(raw);
+      terms.push({ type: 'regex', value: raw, test: (text) => re.matcher(text).find() });
+    } else if (word && word.startsWith('#') && word.length > 1) {
+      const tag = word.substring(1).toLowerCase();
+      terms.push({ type: 'hashtag', value: tag, test: regexTest(keywordRegex(word)) });
+    } else {
+      const keyword = quoted || word;
+      terms.push({ type: 'keyword', value: keyword, test: regexTest(keywordRegex(keyword)) });
+    }
+    match = termRegex.exec(str);
+  }
+  if (terms.length > MAX_TERMS) throw new Error(terms[MAX_TERMS].value);
+  return terms;
+};
+
+// Returns the first invalid term of this filter, or null if it's valid
+export const validateFilter = (str: string | null): string | null => {
+  try {
+    parseFilter(str);
+  } catch (e) {
+    return e.message;
+  }
+  return null;
+};
+
+// Filters are parsed once and reused for every tweet
+const cache = new Map<string, FilterTerm[]>();
+
+const getTerms = (str: string | null): FilterTerm[] => {
+  if (!str) return [];
+  if (!cache.has(str)) {
+    let terms: FilterTerm[] = [];
+    try {
+      terms = parseFilter(str);
+    } catch (e) {
+      // Invalid filters can't be saved, ignore them if one slipped through
+    }
+    cache.set(str, terms);
+  }
+  return cache.get(str);
+};
+
+const termMatches = ({ type, value, test }: FilterTerm, { text, hashtags }: FilterableTweet) => {
+  if (type === 'hashtag') {
+    return hashtags.some((tag) => tag.toLowerCase() === value) || test(text);
+  }
+  return test(text);
+};
+
+// Takes a subscription's filters and determines whether or not this tweet passes them
+export const filtersMatch = ({ include, exclude }: SubFilters, tweet: FilterableTweet): boolean => {
+  const includeTerms = getTerms(include);
+  if (includeTerms.length > 0 && !includeTerms.some((t) => termMatches(t, tweet))) return false;
+  return !getTerms(exclude).some((t) => termMatches(t, tweet));
+};
+
+export const hasFilters = ({ include, exclude }: SubFilters): boolean => !!include || !!exclude;
@@ -6,9 +6,13 @@ const FlagsEnum = Object.freeze({
   noquotes: 4,
   // We don't use 8, it was the ping value before msg
   replies: 16,
+  threads: 32,
+  syncdeletes: 64,
+  plaintext: 128,
+  notices: 256,
 });
 
-export type FlagName = 'notext' | 'retweets' | 'noquotes' | 'replies'
+export type FlagName = 'notext' | 'retweets' | 'noquotes' | 'replies' | 'threads' | 'syncdeletes' | 'plaintext' | 'notices'
 
 export class Flags {
   val: number;
@@ -1,5 +1,9 @@
 import { init as initDb } from './db/index';
-import { sanityCheck } from './twitter';
+import { migrate } from './db/migrations';
+import {
+  getStreamsStatus, sanityCheck, startDeletionChecks, startDeliveries, startDigests,
+} from './twitter';
+import { startMetricsServer } from './shardMgr/metrics';
 import shardMsgHandler from './shardMgr/shardMsgHandler';
 import { init as initSharding, mgr } from './shardMgr/shardManager';
 import log from './log';
@@ -14,9 +18,10 @@ const shardReady = async () => {
       shardMsgHandler(shard, msg);
     }
   }));
-  initDb();
-  log('✅ Connection to database successful');
   sanityCheck();
+  startDeletionChecks();
+  startDeliveries();
+  startDigests();
 };
 
 process.on('beforeExit', (code) => {
@@ -24,8 +29,19 @@ process.on('beforeExit', (code) => {
 });
 
 const start = async () => {
+  initDb();
+  // Shards use the database as soon as they're up, it has to be up to date before we spawn them
+  try {
+    await migrate();
+  } catch (e) {
+    log("Can't update the database schema:");
+    log(e);
+    return 1;
+  }
+  log('✅ Connection to database successful');
   const manager = initSharding();
   if (!manager) return 1;
+  startMetricsServer(getStreamsStatus);
   manager.on('shardCreate', (shard) => {
     log(`⚙️  Launched shard ${shard.id}...`);
     shard.on('ready', shardReady);
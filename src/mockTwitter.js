@@ -0,0 +1,433 @@
+// A stand-in for the parts of Twitter's API we use,
+// so the bot can run without a Twitter app or network access.
+// It streams the tweets of a script,
+// a JSONL file of stream payloads like the ones STREAM_RECORD_FILE records,
+// and answers user and tweet lookups with the users and tweets found in it.
+// Point the bot at it by setting TWITTER_API_URL to http://localhost:<port>, any credentials work.
+// Usage: yarn mock-twitter <script.jsonl> [--port <port>] [--interval <ms>]
+// Payloads POSTed to /mock/tweets get streamed too, one per line.
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { ruleUserIds } from './streamRules';
+
+// Twitter sends a keep-alive this often, in ms
+const KEEP_ALIVE_INTERVAL = 20 * 1000;
+
+const NOT_FOUND = 'https://api.twitter.com/2/problems/resource-not-found';
+
+// Everything we know, as Twitter would give it to us
+const tweets = new Map();
+const users = new Map();
+const media = new Map();
+const polls = new Map();
+// Our stream rules, by ID
+const rules = new Map();
+let nextRuleId = 1;
+// Connected streams, and the payloads they haven't gotten yet
+const streams = new Set();
+const pending = [];
+let streamTimeout = null;
+
+// Tweet IDs are too big for numbers,
+// but longer IDs are bigger and same-length ones compare like strings
+const compareIds = (a, b) => a.length - b.length || (a > b ? 1 : 0) - (a < b ? 1 : 0);
+
+const byIdDesc = (a, b) => compareIds(b.id, a.id);
+
+const log = (msg) => {
+  // eslint-disable-next-line no-console
+  console.log(`[mock-twitter] ${msg}`);
+};
+
+// Remembers the tweets, users, media and polls of a payload
+const learn = ({ data, includes = {} }) => {
+  if (data) tweets.set(data.id, data);
+  (includes.tweets || []).forEach((t) => tweets.set(t.id, t));
+  (includes.users || []).forEach((u) => users.set(u.id, { ...users.get(u.id), ...u }));
+  (includes.media || []).forEach((m) => media.set(m.media_key, m));
+  (includes.polls || []).forEach((p) => polls.set(p.id, p));
+};
+
+// Builds the includes of a response from what these tweets reference
+const includesFor = (list) => {
+  const includedTweets = new Map();
+  const includedUsers = new Map();
+  const includedMedia = new Map();
+  const includedPolls = new Map();
+  const addUser = (id) => {
+    if (users.has(id)) includedUsers.set(id, users.get(id));
+  };
+  list.forEach((t) => {
+    addUser(t.author_id);
+    addUser(t.in_reply_to_user_id);
+    (t.referenced_tweets || []).forEach(({ id }) => {
+      const referenced = tweets.get(id);
+      if (!referenced) return;
+      includedTweets.set(id, referenced);
+      addUser(referenced.author_id);
+    });
+    const { media_keys: mediaKeys = [], poll_ids: pollIds = [] } = t.attachments || {};
+    mediaKeys.forEach((key) => media.has(key) && includedMedia.set(key, media.get(key)));
+    pollIds.forEach((id) => polls.has(id) && includedPolls.set(id, polls.get(id)));
+  });
+  const includes = {};
+  if (includedTweets.size > 0) includes.tweets = [...includedTweets.values()];
+  if (includedUsers.size > 0) includes.users = [...includedUsers.values()];
+  if (includedMedia.size > 0) includes.media = [...includedMedia.values()];
+  if (includedPolls.size > 0) includes.polls = [...includedPolls.values()];
+  return includes;
+};
+
+const notFound = (resourceType, parameter, value) => ({
+  value,
+  detail: `Could not find ${resourceType} with ${parameter}: [${value}].`,
+  title: 'Not Found Error',
+  resource_type: resourceType,
+  parameter,
+  resource_id: value,
+  type: NOT_FOUND,
+});
+
+const findUserByName = (username) => [...users.values()]
+  .find((u) => u.username.toLowerCase() === username.toLowerCase());
+
+// Whether a tweet matches a single term of a query rule,
+// operators we don't know about match everything
+const termMatches = (term, { data, includes = {} }) => {
+  const author = (includes.users || []).find((u) => u.id === data.author_id);
+  const refs = (data.referenced_tweets || []).map(({ type }) => type);
+  const { hashtags = [], mentions = [], urls = [] } = data.entities || {};
+  const text = data.text.toLowerCase();
+  const [operator, value] = term.includes(':') && !term.startsWith('"') ? term.split(/:(.*)/) : [null, term];
+  switch (operator) {
+    case null:
+      if (value.startsWith('#')) return hashtags.some(({ tag }) => `#${tag}`.toLowerCase() === value.toLowerCase());
+      if (value.startsWith('@')) return mentions.some(({ username }) => `@${username}`.toLowerCase() === value.toLowerCase());
+      return text.includes(value.replace(/^"|"$/g, '').toLowerCase());
+    case 'from':
+      return data.author_id === value
+        || (!!author && author.username.toLowerCase() === value.toLowerCase());
+    case 'is':
+      return refs.includes({ retweet: 'retweeted', reply: 'replied_to', quote: 'quoted' }[value]);
+    case 'has':
+      if (value === 'links') return urls.length > 0;
+      return !!data.attachments && !!data.attachments.media_keys
+        && data.attachments.media_keys.length > 0;
+    default:
+      return true;
+  }
+};
+
+// A small part of Twitter's rule syntax: terms, negated with -, and ORs between them.
+// Parentheses are ignored
+const queryMatches = (value, payload) => value.replace(/[()]/g, ' ')
+  .split(' OR ')
+  .some((group) => (group.match(/-?"[^"]*"|\S+/g) || []).every((term) => (term.startsWith('-')
+    ? !termMatches(term.substring(1), payload)
+    : termMatches(term, payload))));
+
+// The rules a tweet matches: user rules by author, query rules by content
+const matchingRules = (payload) => [...rules.values()]
+  .filter(({ value, tag }) => (tag
+    ? queryMatches(value, payload)
+    : (ruleUserIds(value) || []).includes(payload.data.author_id)))
+  .map(({ id, tag }) => ({ id, ...(tag ? { tag } : {}) }));
+
+/* Stream */
+
+const streamNext = (interval) => {
+  streamTimeout = null;
+  if (streams.size === 0 || pending.length === 0) return;
+  const payload = pending.shift();
+  const matching = payload.data ? matchingRules(payload) : [];
+  if (matching.length > 0) {
+    const chunk = `${JSON.stringify({ ...payload, matching_rules: matching })}\r\n`;
+    streams.forEach((res) => res.write(chunk));
+    log(`Streamed tweet ${payload.data.id}`);
+  } else {
+    log(`Skipped tweet ${payload.data ? payload.data.id : '(invalid)'}, no rule matches it`);
+  }
+  streamTimeout = setTimeout(() => streamNext(interval), interval);
+};
+
+const scheduleStream = (interval) => {
+  if (!streamTimeout) streamTimeout = setTimeout(() => streamNext(interval), interval);
+};
+
+const openStream = (req, res, interval) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  streams.add(res);
+  log(`Stream connected (${streams.size} open)`);
+  const keepAlive = setInterval(() => res.write('\r\n'), KEEP_ALIVE_INTERVAL);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    streams.delete(res);
+    log(`Stream closed (${streams.size} open)`);
+  });
+  scheduleStream(interval);
+};
+
+/* v2 */
+
+const getRules = () => {
+  const data = [...rules.values()];
+  return {
+    ...(data.length > 0 ? { data } : {}),
+    meta: { sent: new Date().toISOString(), result_count: data.length },
+  };
+};
+
+// With dryRun, rules are checked but not added
+const updateRules = ({ add = [], delete: toDelete = { ids: [] } }, dryRun = false) => {
+  const meta = { sent: new Date().toISOString() };
+  if (add.length > 0) {
+    const data = [];
+    const errors = [];
+    add.forEach(({ value, tag }) => {
+      const existing = [...rules.values()].find((rule) => rule.value === value);
+      if (existing) {
+        errors.push({
+          value, id: existing.id, title: 'DuplicateRule', type: 'https://api.twitter.com/2/problems/duplicate-rules',
+        });
+        return;
+      }
+      const rule = { id: `${nextRuleId}`, value, ...(tag ? { tag } : {}) };
+      nextRuleId += 1;
+      if (!dryRun) rules.set(rule.id, rule);
+      data.push(rule);
+    });
+    return {
+      ...(data.length > 0 ? { data } : {}),
+      ...(errors.length > 0 ? { errors } : {}),
+      meta: {
+        ...meta,
+        summary: {
+          created: data.length,
+          not_created: errors.length,
+          valid: data.length,
+          invalid: errors.length,
+        },
+      },
+    };
+  }
+  const deleted = toDelete.ids.filter((id) => rules.delete(id));
+  return {
+    meta: {
+      ...meta,
+      summary: { deleted: deleted.length, not_deleted: toDelete.ids.length - deleted.length },
+    },
+  };
+};
+
+// Our pagination tokens are the ID of the last tweet of the previous page
+const userTimeline = (userId, query) => {
+  const maxResults = Number(query.get('max_results')) || 10;
+  const sinceId = query.get('since_id');
+  const paginationToken = query.get('pagination_token');
+  const noRetweets = (query.get('exclude') || '').split(',').includes('retweets');
+  const all = [...tweets.values()]
+    .filter((t) => t.author_id === userId)
+    .filter((t) => !sinceId || compareIds(t.id, sinceId) > 0)
+    .filter((t) => !paginationToken || compareIds(t.id, paginationToken) < 0)
+    .filter((t) => !noRetweets || !(t.referenced_tweets || []).some(({ type }) => type === 'retweeted'))
+    .sort(byIdDesc);
+  const list = all.slice(0, maxResults);
+  if (list.length === 0) return { meta: { result_count: 0 } };
+  const oldestId = list[list.length - 1].id;
+  return {
+    data: list,
+    includes: includesFor(list),
+    meta: {
+      result_count: list.length,
+      newest_id: list[0].id,
+      oldest_id: oldestId,
+      ...(all.length > maxResults ? { next_token: oldestId } : {}),
+    },
+  };
+};
+
+const lookupTweets = (ids) => {
+  const found = ids.filter((id) => tweets.has(id)).map((id) => tweets.get(id));
+  const errors = ids.filter((id) => !tweets.has(id)).map((id) => notFound('tweet', 'ids', id));
+  return {
+    ...(found.length > 0 ? { data: found, includes: includesFor(found) } : {}),
+    ...(errors.length > 0 ? { errors } : {}),
+  };
+};
+
+// Users marked as suspended in the script are refused like Twitter does
+const lookupUsersV2 = (ids) => {
+  const isActive = (id) => users.has(id) && !users.get(id).suspended;
+  const found = ids.filter(isActive).map((id) => users.get(id));
+  const errors = ids.filter((id) => !isActive(id)).map((id) => (users.has(id)
+    ? {
+      ...notFound('user', 'ids', id), title: 'Forbidden', detail: `User has been suspended: [${id}].`,
+    }
+    : notFound('user', 'ids', id)));
+  return {
+    ...(found.length > 0 ? { data: found } : {}),
+    ...(errors.length > 0 ? { errors } : {}),
+  };
+};
+
+/* v1.1 */
+
+// Twitter's v1.1 date format: Wed Oct 10 20:19:24 +0000 2018
+const v1Date = (date) => {
+  const [weekday, day, month, year, time] = new Date(date || Date.now()).toUTCString().replace(',', '').split(' ');
+  return `${weekday} ${month} ${day} ${time} +0000 ${year}`;
+};
+
+const v1User = ({
+  id, username, name, profile_image_url: profileImageUrl, protected: isProtected = false,
+}) => ({
+  id: Number(id),
+  id_str: id,
+  screen_name: username,
+  name,
+  protected: isProtected,
+  profile_image_url_https: profileImageUrl,
+});
+
+const v1Tweet = ({
+  id, text, author_id: authorId, created_at: createdAt,
+}) => ({
+  id: Number(id),
+  id_str: id,
+  created_at: v1Date(createdAt),
+  text,
+  full_text: text,
+  user: users.has(authorId) ? v1User(users.get(authorId)) : { id_str: authorId },
+});
+
+const v1Error = (code, message) => ({ errors: [{ code, message }] });
+
+const lookupUsers = ({ user_id: userIds, screen_name: screenNames }) => {
+  const found = [
+    ...(userIds ? userIds.split(',').map((id) => users.get(id.trim())) : []),
+    ...(screenNames ? screenNames.split(',').map((name) => findUserByName(name.trim())) : []),
+  ].filter((u) => !!u).map(v1User);
+  return found.length > 0 ? [200, found] : [404, v1Error(17, 'No user matches for specified terms.')];
+};
+
+const v1Timeline = (query) => {
+  const user = query.get('user_id') ? users.get(query.get('user_id')) : findUserByName(query.get('screen_name') || '');
+  if (!user) return [404, v1Error(34, 'Sorry, that page does not exist.')];
+  const sinceId = query.get('since_id');
+  const list = [...tweets.values()]
+    .filter((t) => t.author_id === user.id)
+    .filter((t) => !sinceId || compareIds(t.id, sinceId) > 0)
+    .sort(byIdDesc)
+    .slice(0, Number(query.get('count')) || 20);
+  return [200, list.map(v1Tweet)];
+};
+
+const showTweet = (id) => (tweets.has(id)
+  ? [200, v1Tweet(tweets.get(id))]
+  : [404, v1Error(144, 'No status found with that ID.')]);
+
+/* Server */
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+// Twitter takes form-encoded bodies on v1.1 and JSON on v2
+const parseBody = (req, body) => {
+  if (!body) return {};
+  if ((req.headers['content-type'] || '').startsWith('application/json')) return JSON.parse(body);
+  return Object.fromEntries(new URLSearchParams(body));
+};
+
+// Queues payloads to be streamed, and makes them available to lookups
+const addPayloads = (text) => {
+  const payloads = text.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+  payloads.forEach(learn);
+  pending.push(...payloads);
+  return payloads.length;
+};
+
+const route = async (req, res, interval) => {
+  const url = new URL(req.url, 'http://localhost');
+  const { pathname: path, searchParams: query } = url;
+  const send = (code, body) => res.writeHead(code, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+  const body = req.method === 'POST' ? await readBody(req) : '';
+  let match = null;
+
+  if (req.method === 'POST' && path === '/oauth2/token') {
+    return send(200, { token_type: 'bearer', access_token: 'mock-bearer-token' });
+  }
+  if (req.method === 'POST' && path === '/mock/tweets') {
+    const count = addPayloads(body);
+    scheduleStream(interval);
+    return send(202, { queued: count });
+  }
+  if (path === '/2/tweets/search/stream/rules') {
+    return send(200, req.method === 'POST'
+      ? updateRules(parseBody(req, body), query.get('dry_run') === 'true')
+      : getRules());
+  }
+  if (req.method === 'GET' && path === '/2/tweets/search/stream') {
+    return openStream(req, res, interval);
+  }
+  if (req.method === 'GET' && path === '/2/tweets') {
+    return send(200, lookupTweets((query.get('ids') || '').split(',').filter((id) => !!id)));
+  }
+  match = /^\/2\/tweets\/(\d+)$/.exec(path);
+  if (req.method === 'GET' && match) {
+    const [id] = match.slice(1);
+    return send(200, tweets.has(id)
+      ? { data: tweets.get(id), includes: includesFor([tweets.get(id)]) }
+      : { errors: [notFound('tweet', 'id', id)] });
+  }
+  if (req.method === 'GET' && path === '/2/users') {
+    return send(200, lookupUsersV2((query.get('ids') || '').split(',').filter((id) => !!id)));
+  }
+  match = /^\/2\/users\/by\/username\/(\w+)$/.exec(path);
+  if (req.method === 'GET' && match) {
+    const user = findUserByName(match[1]);
+    return send(200, user ? { data: user } : { errors: [notFound('user', 'username', match[1])] });
+  }
+  match = /^\/2\/users\/(\d+)\/tweets$/.exec(path);
+  if (req.method === 'GET' && match) {
+    return send(200, userTimeline(match[1], query));
+  }
+  if (path === '/1.1/users/lookup.json') {
+    return send(...lookupUsers(req.method === 'POST' ? parseBody(req, body) : Object.fromEntries(query)));
+  }
+  if (req.method === 'GET' && path === '/1.1/statuses/user_timeline.json') {
+    return send(...v1Timeline(query));
+  }
+  if (req.method === 'GET' && path === '/1.1/statuses/show.json') {
+    return send(...showTweet(query.get('id')));
+  }
+  log(`No mock for ${req.method} ${path}`);
+  return send(404, { title: 'Not Found Error', detail: `${req.method} ${path} isn't mocked` });
+};
+
+const option = (args, name, fallback) => {
+  const idx = args.indexOf(`--${name}`);
+  return idx !== -1 && args[idx + 1] ? Number(args[idx + 1]) : fallback;
+};
+
+const [scriptPath, ...options] = process.argv.slice(2);
+if (!scriptPath) {
+  // eslint-disable-next-line no-console
+  console.log('Usage: yarn mock-twitter <script.jsonl> [--port <port>] [--interval <ms>]');
+  process.exit(1);
+}
+const port = option(options, 'port', 8888);
+// Delay between two streamed tweets
+const interval = option(options, 'interval', 5000);
+
+log(`Loaded ${addPayloads(readFileSync(scriptPath, 'utf8'))} payload(s) from ${scriptPath}`);
+createServer((req, res) => {
+  route(req, res, interval).catch((e) => {
+    log(`Error answering ${req.method} ${req.url}: ${e.message}`);
+    if (!res.headersSent) res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ title: 'Invalid Request', detail: e.message }));
+  });
+}).listen(port, () => log(`Listening on http://localhost:${port}, set TWITTER_API_URL to this address`));
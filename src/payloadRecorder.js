@@ -0,0 +1,19 @@
+// Writes every tweet payload we get from Twitter to a JSONL file, one payload per line,
+// so they can be replayed later with ./replay
+import { createWriteStream } from 'fs';
+import log from './log';
+
+// Where we record payloads, recording is off if it isn't set
+const recordFile = process.env.STREAM_RECORD_FILE;
+
+let output = null;
+
+export default (tweet) => {
+  if (!recordFile) return;
+  if (!output) {
+    output = createWriteStream(recordFile, { flags: 'a' });
+    output.on('error', (e) => log(`❌ Couldn't record payloads to ${recordFile}: ${e.message}`));
+    log(`⚙️ Recording payloads to ${recordFile}`);
+  }
+  output.write(`${JSON.stringify(tweet)}\n`);
+};
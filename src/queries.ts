@@ -0,0 +1,48 @@
+// This module defines search queries, which channels can subscribe to like they do to users
+// A query is written in Twitter's rule syntax, like `#ourgame -is:retweet has:images`, and gets a stream rule of its own.
+// We catch the usual mistakes here, Twitter checks the rest when we subscribe.
+import { RULE_MAX_LENGTH, ruleUserIds } from './streamRules';
+
+// Why we can't use a query
+export type QueryError = 'empty' | 'tooLong' | 'unbalanced' | 'noStandalone' | 'onlyUsers';
+
+// Operators Twitter only accepts along with something else
+const CONJUNCTION_REQUIRED = ['is:', 'has:', 'lang:', 'sample:', 'place_country:', 'point_radius:', 'bounding_box:'];
+
+const termRegex = /-?"[^"]*"|[^\s()]+/g;
+
+// The way we store a query, so the same query written twice is the same subscription
+export const normalizeQuery = (str: string | null): string => (str || '').trim().replace(/\s+/g, ' ');
+
+// Text commands lose the quotes around phrases, this puts them back
+export const queryFromArgs = (args: string[]): string => normalizeQuery(
+  args.map((arg) => (/\s/.test(arg) ? `"${arg}"` : arg)).join(' '),
+);
+
+const isBalanced = (query: string) => {
+  if ((query.match(/"/g) || []).length % 2 !== 0) return false;
+  let depth = 0;
+  // Parentheses inside of phrases don't count
+  const parens = query.replace(/"[^"]*"/g, '').replace(/[^()]/g, '');
+  for (let i = 0; i < parens.length; i += 1) {
+    depth += parens[i] === '(' ? 1 : -1;
+    if (depth < 0) return false;
+  }
+  return depth === 0;
+};
+
+// A standalone term can match tweets on its own: not negated, and not an operator like is:retweet
+const isStandalone = (term: string) => term !== 'OR'
+  && !term.startsWith('-')
+  && !CONJUNCTION_REQUIRED.some((op) => term.toLowerCase().startsWith(op));
+
+// Returns what's wrong with this query, null if we can use it
+export const validateQuery = (query: string): QueryError | null => {
+  if (!query) return 'empty';
+  if (query.length > RULE_MAX_LENGTH) return 'tooLong';
+  if (!isBalanced(query)) return 'unbalanced';
+  if (!(query.match(termRegex) || []).some(isStandalone)) return 'noStandalone';
+  // We'd mistake it for one of our user rules, and start does this better anyway
+  if (ruleUserIds(query)) return 'onlyUsers';
+  return null;
+};
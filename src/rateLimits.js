@@ -0,0 +1,179 @@
+// Keeps track of how many requests Twitter still lets us make on each endpoint,
+// and queues the ones it wouldn't take.
+// Every request to Twitter should go through limited(),
+// the rate limits themselves come from the responses' headers.
+import log from './log';
+
+// Who's waiting on a request: commands go first, then stream rules, then background jobs
+export const PRIORITY_COMMAND = 0;
+export const PRIORITY_STREAM = 1;
+export const PRIORITY_BACKGROUND = 2;
+
+// Share of each rate limit window that only commands can use, so background jobs can't starve them
+const COMMAND_RESERVE = 0.1;
+// Longest a command waits for a rate limit to reset
+// before we tell the user to try again later, in ms
+const COMMAND_MAX_WAIT = 10 * 1000;
+// Extra delay after a window resets, Twitter's clock and ours don't quite agree, in ms
+const RESET_MARGIN = 1000;
+
+// Same shape as twitter-api-v2's rate limit errors, so callers handle both the same way
+const rateLimitError = ({ endpoint, limit, reset }) => Object.assign(
+  new Error(`Rate limit of ${endpoint} reached, it resets at ${new Date(reset).toISOString()}`),
+  { rateLimitError: true, rateLimit: { limit, remaining: 0, reset: Math.ceil(reset / 1000) } },
+);
+
+// Our own name for the endpoint of a URL: method and path, with IDs and usernames left out
+export const endpointOf = (method, url) => `${method} ${url.pathname
+  .replace(/\/by\/username\/[^/]+/, '/by/username/:username')
+  .split('/')
+  // The first part is the API version
+  .map((part, idx) => (idx > 1 && /^\d+$/.test(part) ? ':id' : part))
+  .join('/')}`;
+
+// twitter-lite puts the headers of a response there, on the response or the error
+const headersOf = (res) => {
+  if (!res) return undefined;
+  const { _headers: headers } = res;
+  return headers;
+};
+
+// What we know about an endpoint's rate limit for one of our apps,
+// and the requests waiting for it
+class Endpoint {
+  constructor(app, endpoint) {
+    this.app = app;
+    this.endpoint = endpoint;
+    // null until Twitter tells us
+    this.limit = null;
+    this.remaining = null;
+    // When the current window ends, in ms
+    this.reset = 0;
+    this.queue = [];
+    this.timeout = null;
+  }
+
+  canRun(priority) {
+    if (this.reset <= Date.now()) {
+      // New window, we don't know how much of it we've used until Twitter tells us
+      this.remaining = null;
+    }
+    if (this.remaining === null) return true;
+    const reserve = priority === PRIORITY_COMMAND ? 0 : Math.ceil(this.limit * COMMAND_RESERVE);
+    return this.remaining > reserve;
+  }
+
+  // Reads Twitter's rate limit headers from a twitter-lite response or error
+  recordHeaders(headers) {
+    if (!headers || typeof headers.get !== 'function' || headers.get('x-rate-limit-remaining') === null) return;
+    this.record({
+      limit: Number(headers.get('x-rate-limit-limit')),
+      remaining: Number(headers.get('x-rate-limit-remaining')),
+      reset: Number(headers.get('x-rate-limit-reset')),
+    });
+  }
+
+  // Remembers what Twitter told us, reset is in seconds like in Twitter's headers
+  record({ limit, remaining, reset }) {
+    if (!limit || Number.isNaN(remaining) || !reset) return;
+    this.limit = limit;
+    this.remaining = remaining;
+    this.reset = reset * 1000;
+    if (this.queue.length > 0 && !this.timeout) this.drain();
+  }
+
+  run({ fn, resolve, reject }) {
+    fn().then((res) => {
+      this.recordHeaders(headersOf(res));
+      resolve(res);
+    }, (e) => {
+      this.recordHeaders(headersOf(e));
+      reject(e);
+    });
+  }
+
+  // Highest priority first, in order of arrival
+  add(request) {
+    const idx = this.queue.findIndex((queued) => queued.priority > request.priority);
+    this.queue.splice(idx === -1 ? this.queue.length : idx, 0, request);
+    this.drain();
+  }
+
+  // Runs every queued request the rate limit allows,
+  // and waits for the window to reset if some are left
+  drain() {
+    while (this.queue.length > 0 && this.canRun(this.queue[0].priority)) {
+      if (this.remaining !== null) this.remaining -= 1;
+      this.run(this.queue.shift());
+    }
+    if (this.queue.length === 0) return;
+    const wait = this.reset - Date.now();
+    this.queue = this.queue.filter((request) => {
+      if (wait <= request.maxWait) return true;
+      request.reject(rateLimitError(this));
+      return false;
+    });
+    if (this.queue.length > 0 && !this.timeout) {
+      log(`⚙️ ${this.queue.length} request(s) to ${this.endpoint} (app ${this.app}) waiting for the rate limit to reset in ${Math.round(wait / 1000)}s`, null, true);
+      this.timeout = setTimeout(() => {
+        this.timeout = null;
+        this.drain();
+      }, Math.max(wait, 0) + RESET_MARGIN);
+    }
+  }
+}
+
+// What we know about each endpoint, by app and endpoint
+const endpoints = new Map();
+
+const getEndpoint = (app, endpoint) => {
+  const key = `${app} ${endpoint}`;
+  if (!endpoints.has(key)) {
+    endpoints.set(key, new Endpoint(app, endpoint));
+  }
+  return endpoints.get(key);
+};
+
+// Remembers what Twitter told us about an endpoint's rate limit,
+// reset is in seconds like in Twitter's headers
+export const recordRateLimit = (app, endpoint, rateLimit) => getEndpoint(app, endpoint)
+  .record(rateLimit);
+
+// Runs fn, which makes a request to this endpoint with this app's client,
+// as soon as the rate limit allows it.
+// Commands that would wait too long are rejected with a rate limit error instead.
+export const limited = (app, endpoint, priority, fn) => new Promise((resolve, reject) => {
+  getEndpoint(app, endpoint).add({
+    priority,
+    fn,
+    resolve,
+    reject,
+    maxWait: priority === PRIORITY_COMMAND ? COMMAND_MAX_WAIT : Infinity,
+  });
+});
+
+// When we can try again after this error, in ms. null if it isn't about a rate limit
+export const rateLimitReset = (e) => {
+  if (!e) return null;
+  if (e.rateLimitError && e.rateLimit) return e.rateLimit.reset * 1000;
+  // v1.1's rate limit error
+  if (e.errors && e.errors.some(({ code }) => code === 88) && headersOf(e)) {
+    return Number(headersOf(e).get('x-rate-limit-reset')) * 1000 || null;
+  }
+  return null;
+};
+
+// What we know of every endpoint's rate limit, for the bot owner
+export const getQuotas = () => [...endpoints.values()]
+  .filter(({ limit }) => limit !== null)
+  .map(({
+    app, endpoint, limit, remaining, reset, queue,
+  }) => ({
+    app,
+    endpoint,
+    limit,
+    remaining: reset <= Date.now() || remaining === null ? limit : remaining,
+    reset: reset <= Date.now() ? null : reset,
+    queued: queue.length,
+  }))
+  .sort((a, b) => `${a.app}`.localeCompare(`${b.app}`) || a.endpoint.localeCompare(b.endpoint));
@@ -0,0 +1,94 @@
+// Replays payloads recorded with STREAM_RECORD_FILE through the same code live tweets go through,
+// against the subscriptions in the database set up in the environment.
+// Instead of being posted, the messages each channel would get are written to a directory,
+// one file per payload, so two runs can be compared with diff -r.
+// Usage: yarn replay <recording.jsonl> <output directory> [--previews]
+// Link previews are left out unless --previews is given,
+// they need network access and change over time.
+// Messages are finished the way a shard would finish them, as if channels weren't age-restricted
+// and guilds weren't boosted, since we can't ask Discord.
+import { mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import log from './log';
+import { init as initDb, close as closeDb } from './db';
+import { getChannel } from './db/channels';
+import { getFilteredSubs, routeTweet } from './tweetRouting';
+import { finalizeTweet, sensitivePolicy } from './shard/tweetMessage';
+
+// Collects what would have been posted for a payload
+const fakeSink = () => {
+  const posts = [];
+  return {
+    post: (qChannel, content, type) => posts.push({ qChannel, type, content }),
+    posts,
+  };
+};
+
+// Stands in for a shard's QChannel, with what finishing a tweet message needs from it
+const replayChannel = async ({ channelId, isDM }) => {
+  const channel = isDM ? null : await getChannel(channelId);
+  const guildId = isDM ? channelId : channel && channel.guildId;
+  return {
+    guildId: () => guildId,
+    isNsfw: async () => false,
+    guild: async () => null,
+  };
+};
+
+// Labels, polls, videos and spoilers, what the shard does before posting
+const finishPost = async (qChannel, content) => {
+  const channel = await replayChannel(qChannel);
+  const policy = await sensitivePolicy(channel, content.message, content.sensitivePolicy);
+  const message = policy === 'skip' ? null : await finalizeTweet(channel, content.message, policy);
+  return { ...content, sensitivePolicy: policy, message };
+};
+
+const replayPayload = async (payload, previews) => {
+  const subs = (await getFilteredSubs(payload))
+    .map((sub) => (previews ? sub : { ...sub, previews: false }));
+  const sink = fakeSink();
+  const routed = subs.length > 0 ? await routeTweet(payload, subs) : null;
+  if (routed) {
+    const finished = await Promise.all(routed.posts
+      .map(({ qChannel, content }) => finishPost(qChannel, content)));
+    routed.posts.forEach(({ qChannel }, i) => sink.post(qChannel, finished[i], 'tweet'));
+  }
+  // Subscriptions come out of the database in no particular order
+  const byChannel = (a, b) => a.qChannel.channelId.localeCompare(b.qChannel.channelId);
+  return {
+    tweetId: payload.data ? payload.data.id : null,
+    subscriptions: subs.length,
+    readable: !!routed,
+    posts: sink.posts.sort(byChannel),
+    digestEntries: routed
+      ? routed.digestEntries.sort((a, b) => a.channelId.localeCompare(b.channelId))
+      : [],
+  };
+};
+
+// Payloads are replayed one after the other, in the order they were recorded
+const replay = async (recordingPath, outputDir, previews) => {
+  mkdirSync(outputDir, { recursive: true });
+  const lines = readFileSync(recordingPath, 'utf8').split('\n').filter((line) => line.trim());
+  const posts = await lines.reduce(async (previous, line, idx) => {
+    const count = await previous;
+    const result = await replayPayload(JSON.parse(line), previews);
+    const name = `${`${idx + 1}`.padStart(5, '0')}-${result.tweetId || 'invalid'}.json`;
+    writeFileSync(join(outputDir, name), `${JSON.stringify(result, null, 2)}\n`);
+    return count + result.posts.length;
+  }, Promise.resolve(0));
+  log(`Replayed ${lines.length} payload(s), ${posts} post(s) written to ${outputDir}`);
+};
+
+const [recordingPath, outputDir, ...options] = process.argv.slice(2);
+if (!recordingPath || !outputDir) {
+  log('Usage: yarn replay <recording.jsonl> <output directory> [--previews]');
+  process.exit(1);
+}
+initDb();
+replay(recordingPath, outputDir, options.includes('--previews'))
+  .then(() => closeDb())
+  .then(() => process.exit(0), async (e) => {
+    await log(e);
+    process.exit(1);
+  });
@@ -0,0 +1,19 @@
+// This module defines what we do with tweets Twitter flags as possibly sensitive, outside of age-restricted channels:
+// - `spoiler` hides their media and text behind spoilers
+// - `skip` doesn't post them at all
+// - `show` posts them like any other tweet
+// Guilds pick a policy, subscriptions can override it. Age-restricted channels always get them as usual.
+// Sensitive tweets are posted as usual unless a guild opts in to something else.
+
+export type SensitivePolicy = 'spoiler' | 'skip' | 'show';
+
+export const DEFAULT_SENSITIVE_POLICY: SensitivePolicy = 'show';
+
+const policies: SensitivePolicy[] = ['spoiler', 'skip', 'show'];
+
+// The policy this string names, or null if it isn't one
+export const parseSensitivePolicy = (str: string | null): SensitivePolicy | null => {
+  if (!str) return null;
+  const policy = str.trim().toLowerCase() as SensitivePolicy;
+  return policies.includes(policy) ? policy : null;
+};
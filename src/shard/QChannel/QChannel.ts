@@ -118,6 +118,14 @@ class QChannel {
     return c && c.send(content);
   }
 
+  // Whether this channel is age-restricted, threads are if their channel is. DMs never are
+  async isNsfw(): Promise<boolean> {
+    const c = await this.obj();
+    if (!c || isDmChannel(c)) return false;
+    const channel = isThreadChannel(c) ? c.parent : c;
+    return !!channel && channel.nsfw;
+  }
+
   // Returns a raw Discord guild object
   async guild() {
     if (this.isDM) {
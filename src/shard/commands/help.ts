@@ -15,6 +15,7 @@ const help : CmdFn = async (_, qChannel) => {
       .addField(`${prefix}tweet`, i18n(language, 'usage-tweet'))
       .addField(`${prefix}start`, i18n(language, 'usage-start'))
       .addField(`${prefix}stop`, i18n(language, 'usage-stop'))
+      .addField(`${prefix}search`, i18n(language, 'usage-search'))
       .addField(`${prefix}lang`, i18n(language, 'usage-lang'))
       .addField(`${prefix}list`, i18n(language, 'usage-list'))
       .setFooter({ text: i18n(language, 'helpFooter', { artist: 'ryusukehamamoto' })});
@@ -9,6 +9,8 @@ import list from './list'
 import tweet from './tweet'
 import tweetId from './tweetId'
 import stop from './stop';
+import search from './search'
+import stopsearch from './stopsearch'
 import stopchannel from './stopchannel'
 import help from './help'
 import announce from './announce'
@@ -18,7 +20,7 @@ import log from "../../log";
 export type CmdFn = (cmd: ParsedCmd, qChannel: QChannel, author: User) => void | Promise<void>;
 export type CheckFn = (author: User, qChannel : QChannel) => Promise<boolean> | boolean;
 
-const AllCommands = ['start', 'lang', 'qtprefix', 'stop', 'list', 'tweet', 'tweetid', 'stopchannel', 'help', 'announce'] as const;
+const AllCommands = ['start', 'lang', 'qtprefix', 'stop', 'search', 'stopsearch', 'list', 'tweet', 'tweetid', 'stopchannel', 'help', 'announce'] as const;
 
 type COMMANDS_TUPLE = typeof AllCommands;
 export type Command = COMMANDS_TUPLE[number];
@@ -77,6 +79,26 @@ const cmdList : CommandList= {
       ],
       minArgs: 1,
     },
+    search: {
+      function: search,
+      checks: [
+        {
+          f: checks.isChannelMod,
+          badB: 'startForMods',
+        },
+      ],
+      minArgs: 1,
+    },
+    stopsearch: {
+      function: stopsearch,
+      checks: [
+        {
+          f: checks.isChannelMod,
+          badB: 'stopForMods',
+        },
+      ],
+      minArgs: 1,
+    },
     list: {
       function: list,
       checks: [],
@@ -1,4 +1,5 @@
 import { getChannelSubs } from "../../db/subs";
+import { getChannelQuerySubs } from "../../db/queries";
 import { CmdFn } from ".";
 import { getLang } from "../../db/guilds";
 import { formatSubsList, FORMAT_POST_EMBEDS } from "../format";
@@ -6,8 +7,12 @@ import { embeds, translated } from "../post";
 
 const list: CmdFn = async (_, qChannel) => {
     const gid = qChannel.guildId();
-    const [subs, lan] = await Promise.all([getChannelSubs(qChannel.id, true), getLang(gid)]);
-    const fmtResult = await formatSubsList(qChannel.serialize(), subs, lan);
+    const [subs, querySubs, lan] = await Promise.all([
+      getChannelSubs(qChannel.id, true),
+      getChannelQuerySubs(qChannel.id),
+      getLang(gid),
+    ]);
+    const fmtResult = await formatSubsList(qChannel.serialize(), [...subs, ...querySubs], lan);
     if (fmtResult.cmd === FORMAT_POST_EMBEDS) {
       const { embeds: pages } = fmtResult;
       embeds(qChannel, pages);
@@ -0,0 +1,58 @@
+import { CmdFn } from '.';
+import { compute as computeFlags } from '../../flags';
+import { validateFilter } from '../../filters';
+import { queryFromArgs, validateQuery } from '../../queries';
+import { validateTemplate } from '../../templates';
+import { normalizeDigest } from '../../digest';
+import { parseSensitivePolicy } from '../../sensitive';
+import log from '../../log';
+import { cmd } from '../master';
+import { translated } from '../post';
+import QChannel from '../QChannel/QChannel';
+
+export const handleSearch = async ({ qc, res: { subs }, msg: { query } }) => {
+  const qChannel = QChannel.unserialize(qc);
+  if (subs !== 0) {
+    translated(qChannel, 'searchSuccess', { query });
+  } else {
+    translated(qChannel, 'searchUpdateSuccess', { query });
+  }
+  log(`Added query ${query}`, qChannel);
+};
+
+const search: CmdFn = async ({ args, flags: strFlags, options }, qChannel) => {
+    const flags = computeFlags(strFlags);
+    const query = queryFromArgs(args);
+    const reason = validateQuery(query);
+    if (reason) {
+      translated(qChannel, 'invalidQuery', { reason, query });
+      return;
+    }
+    const { include = null, exclude = null } = options;
+    const invalidTerm = validateFilter(include) || validateFilter(exclude);
+    if (invalidTerm) {
+      translated(qChannel, 'invalidFilter', { term: invalidTerm });
+      return;
+    }
+    const invalidPart = validateTemplate(options.msg || null);
+    if (invalidPart) {
+      translated(qChannel, 'invalidTemplate', { part: invalidPart });
+      return;
+    }
+    const digest = normalizeDigest(options.digest || null);
+    if (options.digest && !digest) {
+      translated(qChannel, 'invalidDigest', { digest: options.digest });
+      return;
+    }
+    const sensitive = parseSensitivePolicy(options.sensitive || null);
+    if (options.sensitive && !sensitive) {
+      translated(qChannel, 'invalidSensitivePolicy', { policy: options.sensitive });
+      return;
+    }
+    const [ownerId, guildId] = await Promise.all([qChannel.ownerId(), qChannel.guildId()]);
+    cmd('search', {
+      query, flags, qc: { ...qChannel.serialize(), ownerId, guildId }, msg: options.msg, include, exclude, digest, sensitive,
+    });
+};
+
+export default search;
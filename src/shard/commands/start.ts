@@ -1,5 +1,9 @@
 import { CmdFn } from '.';
 import { compute as computeFlags } from '../../flags';
+import { validateFilter } from '../../filters';
+import { validateTemplate } from '../../templates';
+import { normalizeDigest } from '../../digest';
+import { parseSensitivePolicy } from '../../sensitive';
 import log from '../../log';
 import { cmd } from '../master';
 import { translated } from '../post';
@@ -41,9 +45,30 @@ const start: CmdFn = async ({ args, flags: strFlags, options }, qChannel) => {
       translated(qChannel, 'usage-start');
       return;
     }
+    const { include = null, exclude = null } = options;
+    const invalidTerm = validateFilter(include) || validateFilter(exclude);
+    if (invalidTerm) {
+      translated(qChannel, 'invalidFilter', { term: invalidTerm });
+      return;
+    }
+    const invalidPart = validateTemplate(options.msg || null);
+    if (invalidPart) {
+      translated(qChannel, 'invalidTemplate', { part: invalidPart });
+      return;
+    }
+    const digest = normalizeDigest(options.digest || null);
+    if (options.digest && !digest) {
+      translated(qChannel, 'invalidDigest', { digest: options.digest });
+      return;
+    }
+    const sensitive = parseSensitivePolicy(options.sensitive || null);
+    if (options.sensitive && !sensitive) {
+      translated(qChannel, 'invalidSensitivePolicy', { policy: options.sensitive });
+      return;
+    }
     const [ownerId, guildId] = await Promise.all([qChannel.ownerId(), qChannel.guildId()]);
     cmd('start', {
-      screenNames, flags, qc: { ...qChannel.serialize(), ownerId, guildId }, msg: options.msg,
+      screenNames, flags, qc: { ...qChannel.serialize(), ownerId, guildId }, msg: options.msg, include, exclude, digest, sensitive,
     });
 };
 
@@ -0,0 +1,21 @@
+import { getLang } from "../../db/guilds";
+import { formatQuotas, formatStreamsStatus, FORMAT_POST_EMBEDS } from "../format";
+import { embeds, translated } from "../post";
+import QChannel from "../QChannel/QChannel";
+
+export const handleStatus = async ({ qc, res }) => {
+    const qChannel = QChannel.unserialize(qc);
+    const lang = await getLang(qChannel.guildId());
+    const fmtResult = await formatStreamsStatus(qc, res, lang);
+    if (fmtResult.cmd === FORMAT_POST_EMBEDS) {
+      embeds(qChannel, fmtResult.embeds);
+    } else {
+      translated(qChannel, fmtResult.trCode);
+    }
+    const quotas = await formatQuotas(qc, res.quotas || [], lang);
+    if (quotas.cmd === FORMAT_POST_EMBEDS) {
+      embeds(qChannel, quotas.embeds);
+    } else {
+      translated(qChannel, quotas.trCode);
+    }
+};
@@ -1,6 +1,7 @@
 import { CmdFn } from ".";
 import log from "../../log";
 import { getChannelSubs } from "../../db/subs";
+import { getChannelQuerySubs } from "../../db/queries";
 import { translated } from "../post";
 import QChannel, { isQCSupportedChannel } from "../QChannel/QChannel";
 import { rmChannel } from "../../db/channels";
@@ -22,13 +23,14 @@ const stopchannel: CmdFn = async ({ args }, qChannel) => {
       }
       channelName = await new QChannel(channelObj).name();
     }
-    const subs = await getChannelSubs(targetChannel);
+    const [subs, querySubs] = await Promise.all([getChannelSubs(targetChannel), getChannelQuerySubs(targetChannel)]);
+    const count = subs.length + querySubs.length;
     await rmChannel(targetChannel);
     log(
-      `Removed all gets from channel ID:${targetChannel}. ${subs.length} subs removed.`,
+      `Removed all gets from channel ID:${targetChannel}. ${count} subs removed.`,
       qChannel,
     );
-    translated(qChannel, 'stopChannelSuccess', { subs: subs.length, channelName });
+    translated(qChannel, 'stopChannelSuccess', { subs: count, channelName });
 };
 
 export default stopchannel;
\ No newline at end of file
@@ -0,0 +1,26 @@
+import { CmdFn } from ".";
+import { cmd } from "../master";
+import { translated } from "../post";
+import QChannel from "../QChannel/QChannel";
+import { queryFromArgs } from "../../queries";
+
+export const handleStopSearch = async ({ qc, res: { subs }, msg: { query } }) => {
+  const qChannel = QChannel.unserialize(qc);
+  if (subs === 0) {
+    translated(qChannel, 'noSuchSearch', { query });
+  } else {
+    translated(qChannel, 'stopSearchSuccess', { query });
+  }
+};
+
+
+const stopsearch: CmdFn = async ({ args }, qChannel) => {
+    const query = queryFromArgs(args);
+    if (!query) {
+      translated(qChannel, 'usage-stopsearch');
+      return;
+    }
+    cmd('stopSearch', { query, qc: qChannel.serialize() });
+};
+
+export default stopsearch;
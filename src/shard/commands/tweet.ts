@@ -5,49 +5,34 @@ import { cmd } from "../master";
 import QChannel from "../QChannel/QChannel";
 import log from "../../log";
 import { CmdFn } from ".";
-import { formatTweet } from "../../twitter";
-import { MessageOptions } from "discord.js";
+import { finalizeTweet, sensitivePolicy } from "../tweetMessage";
 
 export const handleUserTimeline = async ({
   qc,
-  res: tweets,
+  res: { posts },
   msg: { screen_name: screenName, flags },
 }) => {
   const qChannel = QChannel.unserialize(qc);
-
-  if (tweets.error) {
-    if (tweets.error === 'Not authorized.') {
-      translated(qChannel, 'tweetNotAuthorized', { screenName });
-    } else {
-      translated(qChannel, 'tweetUnknwnError', {
-        error: tweets.error,
-        screenName,
-      });
-      log('Unknown error on twitter timeline', qChannel);
-      log(tweets.error, qChannel);
-    }
-    return;
-  }
-  if (tweets.length < 1) {
+  if (posts.length < 1) {
     translated(qChannel, 'noTweets', { screenName });
     return;
   }
-  const validTweets = tweets.filter((t) => t && t.user);
-  if (validTweets.length === 0) {
-    translated(qChannel, 'noValidTweets');
-    log('Invalid tweets from timeline', qChannel);
-    log(tweets, qChannel);
-    return;
+  const policies = await Promise.all(posts.map((p) => sensitivePolicy(qChannel, p)));
+  const shown = posts
+    .map((p, idx) => ({ p, policy: policies[idx] }))
+    .filter(({ policy }) => policy !== 'skip');
+  if (shown.length < posts.length) {
+    translated(qChannel, 'sensitiveTweetsSkipped', { count: posts.length - shown.length });
   }
-  const formattedTweets = await Promise.all(validTweets.map((t) => formatTweet(t, false))) as {embed: MessageOptions}[];
-  const posts = formattedTweets.map(({ embed }) => embed);
+  if (shown.length < 1) return;
+  const messages = await Promise.all(shown.map(({ p, policy }) => finalizeTweet(qChannel, p, policy)));
   const reverseOrder = flags.indexOf('reverse') !== -1;
   // So I know this is weird but we originally got tweets in the WRONG order,
   // from most recent to oldest
   // If we get the reverse flag, we therefore DON'T reverse, we just leave it in the wrong order
-  await embeds(qChannel, reverseOrder ? posts : posts.reverse());
+  await embeds(qChannel, reverseOrder ? messages : messages.reverse());
   log(
-    `Posted latest ${posts.length} tweet(s) from ${screenName}`,
+    `Posted latest ${messages.length} tweet(s) from ${screenName}`,
     qChannel,
   );
 };
@@ -55,7 +40,7 @@ export const handleUserTimeline = async ({
 
 export const postTimeline = async (qChannel: QChannel, screenName: string, count: number, flags: string[]) => {
     cmd('tweet', {
-      screen_name: screenName, tweet_mode: 'extended', count, qc: qChannel.serialize(), flags,
+      screen_name: screenName, count, qc: qChannel.serialize(), guildId: qChannel.guildId(), flags,
     });
   };
   
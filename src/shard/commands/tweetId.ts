@@ -1,24 +1,23 @@
 import QChannel from "../QChannel/QChannel";
-import { embed as postEmbed } from '../post'
+import { embed as postEmbed, translated } from '../post'
 import log from "../../log";
 import { cmd } from "../master";
 import { CmdFn } from ".";
+import { finalizeTweet, sensitivePolicy } from "../tweetMessage";
 
-export const handleTweetId = async ({ qc, res: { formatted, isQuoted, quoted }, msg: { id } }) => {
+export const handleTweetId = async ({ qc, res: { formatted }, msg: { id } }) => {
     const qChannel = QChannel.unserialize(qc);
-
-    const { embed } = formatted;
-    postEmbed(qChannel, embed);
-    log(`Posting tweet ${id}`, qChannel);
-
-    if (isQuoted) {
-        const { embed: quotedEmbed } = quoted;
-        postEmbed(qChannel, quotedEmbed);
+    const policy = await sensitivePolicy(qChannel, formatted);
+    if (policy === 'skip') {
+      translated(qChannel, 'sensitiveTweetsSkipped', { count: 1 });
+      return;
     }
+    postEmbed(qChannel, await finalizeTweet(qChannel, formatted, policy));
+    log(`Posting tweet ${id}`, qChannel);
 };
   
 const tweetId: CmdFn = ({ args: [id] }, qChannel) => {
-    cmd('tweetId', { id, qc: qChannel.serialize() });
+    cmd('tweetId', { id, qc: qChannel.serialize(), guildId: qChannel.guildId() });
 };
 
 export default tweetId;
\ No newline at end of file
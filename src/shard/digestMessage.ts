@@ -0,0 +1,51 @@
+// Turns the tweets the master process collected for a digest into messages
+import { MessageOptions } from 'discord.js';
+import { DigestEntry } from '../db/digests';
+import i18n from './i18n';
+
+// A digest the master process wants us to post
+export type DigestPost = {
+  digest: string;
+  entries: DigestEntry[];
+  // How many of its pages earlier attempts already posted
+  posted?: number;
+}
+
+const DIGEST_COLOR = 0x69b2d6;
+// Discord refuses embed descriptions longer than this
+const MAX_DESCRIPTION_LENGTH = 4096;
+// Entries only show the start of their tweet
+const MAX_ENTRY_TEXT_LENGTH = 200;
+
+const shorten = (text: string) => {
+  const oneLine = text.replace(/\s+/g, ' ').trim();
+  return oneLine.length > MAX_ENTRY_TEXT_LENGTH ? `${oneLine.substring(0, MAX_ENTRY_TEXT_LENGTH - 1)}…` : oneLine;
+};
+
+// One line per tweet, in as few messages as we can
+export const digestMessages = (lang: string, { entries }: DigestPost): MessageOptions[] => {
+  const pages: string[][] = [[]];
+  let length = 0;
+  entries.forEach(({
+    username, type, text, url,
+  }) => {
+    const line = i18n(lang, 'digestEntry', {
+      username, type, url, text: shorten(text),
+    });
+    if (length + line.length + 1 > MAX_DESCRIPTION_LENGTH) {
+      pages.push([]);
+      length = 0;
+    }
+    pages[pages.length - 1].push(line);
+    length += line.length + 1;
+  });
+  return pages.map((lines, idx) => ({
+    embeds: [{
+      color: DIGEST_COLOR,
+      title: pages.length > 1
+        ? `${i18n(lang, 'digestTitle', { count: entries.length })} (${idx + 1})`
+        : i18n(lang, 'digestTitle', { count: entries.length }),
+      description: lines.join('\n'),
+    }],
+  }));
+};
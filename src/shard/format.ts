@@ -4,6 +4,7 @@ import Discord, {MessageOptions} from 'discord.js';
 import { isSet } from '../flags';
 import i18n from './i18n';
 import { QCSerialized } from './QChannel/type';
+import { QuotaStatus, StreamStatus } from '../shardMgr';
 import process from 'process'
 
 const defaults = {
@@ -124,21 +125,115 @@ const formatSubMsg = (msg: string | undefined) => {
   return `\nWith message: \`${msg}\``;
 };
 
+const formatSubDigest = (lang: string, digest: string | null) => {
+  if (!digest) return '';
+  return `\n${i18n(lang, 'formatDigest', { digest })}`;
+};
+
+const formatSubSensitive = (lang: string, sensitive: string | null) => {
+  if (!sensitive) return '';
+  return `\n${i18n(lang, 'formatSensitive', { policy: sensitive })}`;
+};
+
+const formatPreviousHandles = (lang: string, previousHandles: string | null) => {
+  if (!previousHandles) return '';
+  return `\n${i18n(lang, 'formatPreviousHandles', { handles: previousHandles.split(' ').map((h) => `@${h}`).join(', ') })}`;
+};
+
+const formatSubFilters = (lang: string, include: string | null, exclude: string | null) => {
+  let res = '';
+  if (include) res += `\n${i18n(lang, 'formatIncludeFilter', { filter: include })}`;
+  if (exclude) res += `\n${i18n(lang, 'formatExcludeFilter', { filter: exclude })}`;
+  return res;
+};
+
 export const formatFlags = (lang: string, flags: number) => i18n(lang, 'formatFlags', {
   notext: isSet(flags, 'notext'),
   retweet: isSet(flags, 'retweets'),
   noquote: isSet(flags, 'noquotes'),
   replies: isSet(flags, 'replies'),
+  threads: isSet(flags, 'threads'),
+  syncdeletes: isSet(flags, 'syncdeletes'),
+  plaintext: isSet(flags, 'plaintext'),
+  notices: isSet(flags, 'notices'),
 });
 
-export const formatSubsList = async (qc: QCSerialized, subs, lang: string) => formatGenericList({ qc, lang }, {
+// A /list entry, query subscriptions have a query instead of a twitterId
+type SubListEntry = {
+  twitterId?: string;
+  name?: string;
+  status?: string;
+  previousHandles?: string | null;
+  query?: string;
+  flags: number;
+  msg: string | null;
+  include: string | null;
+  exclude: string | null;
+  digest: string | null;
+  sensitive: string | null;
+}
+
+const formatSubTitle = (lang: string, { name, status, query }: SubListEntry) => {
+  if (query) return i18n(lang, 'formatQueryTitle', { query });
+  if (status && status !== 'active') return `${formatTwitterUserShort(name)} ${i18n(lang, 'accountStatusFlag', { status })}`;
+  return formatTwitterUserShort(name);
+};
+
+// Takes subscriptions to users and to queries
+export const formatSubsList = async (
+  qc: QCSerialized,
+  subs: SubListEntry[],
+  lang: string,
+) => formatGenericList<SubListEntry>({ qc, lang }, {
   data: subs,
-  formatTitle: ({ name }) => formatTwitterUserShort(name),
-  formatField: ({ twitterId, flags, msg }) => `**${i18n(lang, 'id')}:** ${twitterId}\n${formatFlags(lang, flags)}${formatSubMsg(msg)}`,
+  formatTitle: (sub) => formatSubTitle(lang, sub),
+  formatField: ({
+    twitterId, query, previousHandles, flags, msg, include, exclude, digest, sensitive,
+  }) => `${query ? '' : `**${i18n(lang, 'id')}:** ${twitterId}${formatPreviousHandles(lang, previousHandles)}\n`}${formatFlags(lang, flags)}${formatSubMsg(msg)}${formatSubFilters(lang, include, exclude)}${formatSubDigest(lang, digest)}${formatSubSensitive(lang, sensitive)}`,
   noElements: 'noSubscriptions',
   objectName: 'subscriptions',
 });
 
+export const formatStreamsStatus = async (
+  qc: QCSerialized,
+  { streams, polling, capacity }: { streams: StreamStatus[], polling: string | null, capacity: number },
+  lang: string,
+) => formatGenericList<StreamStatus>({ qc, lang }, {
+  data: streams,
+  formatTitle: ({ id }) => i18n(lang, 'streamTitle', { id }),
+  formatField: ({
+    state, users, queries, rules, reconnectDelay,
+  }) => i18n(lang, 'streamStatus', {
+    state, users, queries, rules, delay: Math.round(reconnectDelay / 1000),
+  }),
+  description: i18n(lang, 'streamsDescription', {
+    users: streams.reduce((total, { users }) => total + users, 0),
+    capacity,
+    polling: polling || 'none',
+  }),
+  noElements: 'noStreams',
+  objectName: 'streams',
+});
+
+export const formatQuotas = async (
+  qc: QCSerialized,
+  quotas: QuotaStatus[],
+  lang: string,
+) => formatGenericList<QuotaStatus>({ qc, lang }, {
+  data: quotas,
+  formatTitle: ({ app, endpoint }) => i18n(lang, 'quotaTitle', { app, endpoint }),
+  formatField: ({
+    limit, remaining, reset, queued,
+  }) => i18n(lang, 'quotaStatus', {
+    limit,
+    remaining,
+    queued,
+    minutes: reset ? Math.ceil((reset - Date.now()) / (60 * 1000)) : 0,
+  }),
+  noElements: 'noQuotas',
+  objectName: 'quotas',
+});
+
 export const formatLanguages = async (qc: QCSerialized, languagesList: string[], lang: string) => formatGenericList<string>({ qc, lang }, {
   data: languagesList,
   formatTitle: (k: string) => (k === lang ? `[${k}]` : k),
@@ -4,8 +4,27 @@ import { handleTweetId as tweetId } from './commands/tweetId';
 import { handleAnnounce as announce } from './commands/announce';
 import { handleStart as start } from './commands/start';
 import { handleStop as stop } from './commands/stop';
-import { post, translated } from './post';
+import { handleSearch as search } from './commands/search';
+import { handleStopSearch as stopSearch } from './commands/stopsearch';
+import { handleStatus as status } from './commands/status';
+import {
+  deleteTweetPost, post, postDigest, postTweet, translated,
+} from './post';
 import QChannel from './QChannel/QChannel';
+import { cmd, reportPostResult } from './master';
+
+// Posts something from the master's delivery queue, then tells it how that went.
+// Deliveries posted in several messages also say how many went through, so a retry doesn't post them again
+const postDelivery = async (
+  qChannel: QChannel,
+  { delivery = null, ...content },
+  postFunction: (qChannel: QChannel, content: any, onPosted: (pages: number) => void) => Promise<number>,
+) => {
+  let posted = 0;
+  const code = await postFunction(qChannel, content, (pages) => { posted = pages; });
+  reportPostResult(code);
+  if (delivery) cmd('deliveryResult', { delivery, code, posted });
+};
 
 const handlePost = async ({ qc, content, type }) => {
   // This command can be broadcast to all shards, we must check that it's valid
@@ -20,7 +39,19 @@ const handlePost = async ({ qc, content, type }) => {
     translated(qChannel, code, params);
     return;
   }
-  post(qChannel, content, type);
+  if (type === 'tweet') {
+    postDelivery(qChannel, content, postTweet);
+    return;
+  }
+  if (type === 'delete') {
+    deleteTweetPost(qChannel, content);
+    return;
+  }
+  if (type === 'digest') {
+    postDelivery(qChannel, content, postDigest);
+    return;
+  }
+  reportPostResult(await post(qChannel, content, type));
 };
 
 const handlePostTranslated = ({ qc, res: { trCode, ...params } }) => {
@@ -34,8 +65,11 @@ const commands = {
   postTranslated: handlePostTranslated,
   start,
   stop,
+  search,
+  stopSearch,
   tweetId,
   announce,
+  status,
 };
 
 export default ({ cmd, ...msg }) => {
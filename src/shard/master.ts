@@ -17,6 +17,22 @@ export const cmd = (command: string, args: any) => {
   clientShard.send({ ...args, cmd: command });
 };
 
+// How many posts ended with each return code, since we last told the master process
+let postResults: number[] = null;
+// Post results are sent in batches
+const POST_RESULTS_DELAY = 10000;
+
+export const reportPostResult = (code: number) => {
+  if (!postResults) {
+    postResults = [0, 0, 0, 0, 0];
+    setTimeout(() => {
+      cmd('postResults', { results: postResults });
+      postResults = null;
+    }, POST_RESULTS_DELAY);
+  }
+  postResults[code] = (postResults[code] || 0) + 1;
+};
+
 export const createStream = () => {
   clientShard.send({ cmd: 'createStream' });
 };
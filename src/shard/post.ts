@@ -3,7 +3,12 @@ import QChannel from './QChannel/QChannel';
 import i18n, { i18nOptions } from './i18n';
 import { QCSerialized, QCSupportedChannel } from './QChannel/type';
 import { getLang } from '../db/guilds';
-import { MessageEmbed, MessageOptions, ReactionUserManager } from 'discord.js';
+import { addPost, DbPost, getPost, setPostThread } from '../db/posts';
+import { isDmChannel, isThreadChannel } from './discord/discord';
+import { finalizeTweet, sensitivePolicy, TweetMessage } from './tweetMessage';
+import { SensitivePolicy } from '../sensitive';
+import { digestMessages, DigestPost } from './digestMessage';
+import { Message, MessageEmbed, MessageOptions, NewsChannel, ReactionUserManager, TextChannel, ThreadChannel } from 'discord.js';
 import {APIEmbed} from 'discord-api-types';
 
 // Return values for post functions:
@@ -171,6 +176,127 @@ export const embeds = async (qChannel: QChannel, arr: MessageOptions[]) => {
   }
 }
 
+// A tweet the master process wants us to post
+export type TweetPost = {
+  message: TweetMessage;
+  // The subscription's policy for sensitive tweets, null to follow the guild's
+  sensitivePolicy: SensitivePolicy | null;
+  tweetId: string;
+  // The tweet this one continues, if it's part of a thread we should keep together
+  threadOf: string | null;
+  username: string;
+  // Whether to remember this post so it can be deleted along with its tweet
+  syncDeletes: boolean;
+  // Whether to remember this post so a thread can continue off it
+  threads: boolean;
+}
+
+// The previous tweet of a thread might still be getting posted, so we look for it a few times
+const THREAD_LOOKUP_TRIES = 3;
+const THREAD_LOOKUP_DELAY = 2000;
+
+const findThreadParent = async (tweetId: string, channelId: string, tries = THREAD_LOOKUP_TRIES): Promise<DbPost | null> => {
+  const parent = await getPost(tweetId, channelId);
+  if (parent || tries <= 1) return parent;
+  return asyncTimeout(() => findThreadParent(tweetId, channelId, tries - 1), THREAD_LOOKUP_DELAY);
+};
+
+// Returns the Discord thread we keep this tweet thread in, opening it off the parent's message if needed
+const getTweetThread = async (qChannel: QChannel, parent: DbPost, username: string): Promise<ThreadChannel> => {
+  const c = await qChannel.obj();
+  if (!c || isDmChannel(c) || isThreadChannel(c)) {
+    throw new Error('Threads can\'t be opened in this channel');
+  }
+  const channel = c as TextChannel | NewsChannel;
+  if (parent.threadId) {
+    const existing = await channel.threads.fetch(parent.threadId);
+    if (existing) {
+      if (existing.archived) await existing.setArchived(false);
+      return existing;
+    }
+  }
+  const parentMsg = await channel.messages.fetch(parent.messageId);
+  const thread = parentMsg.thread || await parentMsg.startThread({
+    name: i18n(await getLang(qChannel.guildId()), 'tweetThreadName', { username }).substring(0, 100),
+  });
+  await setPostThread(parent.tweetId, parent.channelId, thread.id);
+  return thread;
+};
+
+// Posts a tweet and remembers which message it's in if we need to.
+// Tweets continuing a thread go in a Discord thread off the thread's first message,
+// or reply to the previous message when we can't open threads.
+export const postTweet = async (qChannel: QChannel, {
+  message: content, sensitivePolicy: subPolicy, tweetId, threadOf, username, syncDeletes, threads,
+}: TweetPost): Promise<number> => {
+  const policy = await sensitivePolicy(qChannel, content, subPolicy);
+  if (policy === 'skip') {
+    log(`Skipped sensitive tweet ${tweetId}`, qChannel, true);
+    return 0;
+  }
+  let target: QChannel | ThreadChannel = qChannel;
+  let msg = await finalizeTweet(qChannel, content, policy);
+  let threadId: string | null = null;
+  const parent = threadOf ? await findThreadParent(threadOf, qChannel.id) : null;
+  if (parent) {
+    try {
+      target = await getTweetThread(qChannel, parent, username);
+      threadId = target.id;
+    } catch (e) {
+      log(`Couldn't open a thread for tweet ${threadOf}, replying to it instead: ${e.message}`, qChannel);
+      msg = { ...msg, reply: { messageReference: parent.messageId, failIfNotExists: false } };
+    }
+  }
+  let sent: Message | null = null;
+  try {
+    sent = await target.send(msg) as Message;
+  } catch (err) {
+    return handleDiscordPostError(err, qChannel, 'embed', msg);
+  }
+  if (sent && (threads || syncDeletes)) {
+    try {
+      await addPost(tweetId, qChannel.id, sent.id, threadId, syncDeletes);
+    } catch (e) {
+      log(`Couldn't save the post for tweet ${tweetId}`, qChannel);
+      log(e);
+    }
+  }
+  return 0;
+};
+
+// Deletes the message we posted a tweet in, after the tweet got deleted.
+// A thread opened off a message has the same ID as that message,
+// so the message is only inside the thread if their IDs are different.
+export const deleteTweetPost = async (qChannel: QChannel, { messageId, threadId }: { messageId: string, threadId: string | null }) => {
+  try {
+    const c = await qChannel.obj();
+    const inThread = !!threadId && threadId !== messageId && !isDmChannel(c) && !isThreadChannel(c);
+    const channel = inThread ? await (c as TextChannel | NewsChannel).threads.fetch(threadId) : c;
+    if (!channel) return;
+    const msg = await channel.messages.fetch(messageId);
+    await msg.delete();
+    log(`Deleted message ${messageId}, its tweet was deleted`, qChannel);
+  } catch (e) {
+    log(`Couldn't delete message ${messageId}: ${e.message}`, qChannel);
+  }
+};
+
+// Returns the result of the first message that couldn't be posted, 0 if they all were.
+// Starts after the pages that were already posted, and reports how many are after each one
+export const postDigest = async (
+  qChannel: QChannel,
+  digest: DigestPost,
+  onPosted: (pages: number) => void = () => {},
+): Promise<number> => {
+  const messages = digestMessages(await getLang(qChannel.guildId()), digest);
+  for (let i = digest.posted || 0; i < messages.length; i += 1) {
+    const res = await embed(qChannel, messages[i]);
+    if (res !== 0) return res;
+    onPosted(i + 1);
+  }
+  return 0;
+};
+
 export const message = (qChannel: QChannel, content: any) => post(qChannel, content, 'message');
 
 export const translated = async (qChannel: QChannel, key: string, options: i18nOptions = {}) => message(qChannel,
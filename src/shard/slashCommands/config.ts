@@ -0,0 +1,99 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import {
+  setPreviews, setSensitivePolicy, setTimezone, setVideoPolicy, VideoPolicy,
+} from '../../db/guilds';
+import { SensitivePolicy } from '../../sensitive';
+import { isValidTimezone } from '../../digest';
+import { isServerMod } from '../commands/checks';
+import { translated } from '../post';
+import log from '../../log';
+import {SlashCommand} from './types';
+
+const Config: SlashCommand = {
+  data: new SlashCommandBuilder()
+    .setName('config')
+    .setDescription('Changes how tweets are posted in this server')
+    .addSubcommand((sub) =>
+      sub
+        .setName('videos')
+        .setDescription('Changes how videos are posted')
+        .addStringOption((option) => option
+          .setName('policy')
+          .setDescription('Whether videos get attached or linked')
+          .setRequired(true)
+          .addChoices([
+            ['Attach videos when they fit, link them otherwise', 'auto'],
+            ['Always link videos', 'link'],
+          ]))
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('previews')
+        .setDescription('Changes whether links in tweets get a preview image')
+        .addBooleanOption((option) => option
+          .setName('enabled')
+          .setDescription('Whether to show link previews')
+          .setRequired(true))
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('timezone')
+        .setDescription('Changes the timezone daily digests follow')
+        .addStringOption((option) => option
+          .setName('timezone')
+          .setDescription('A timezone name, like Europe/Paris or America/New_York')
+          .setRequired(true))
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('sensitive')
+        .setDescription('Changes how tweets flagged as sensitive are posted outside of age-restricted channels')
+        .addStringOption((option) => option
+          .setName('policy')
+          .setDescription('What to do with sensitive tweets')
+          .setRequired(true)
+          .addChoices([
+            ['Hide their text and media behind spoilers', 'spoiler'],
+            ['Don\'t post them', 'skip'],
+            ['Post them as usual', 'show'],
+          ]))
+    ),
+
+  function: async ({ interaction, qc }) => {
+    const isMod = await isServerMod(interaction.user, qc);
+    if (!isMod) {
+      translated(qc, 'configForMods');
+      log('Rejected command "config" with reason: configForMods');
+      return;
+    }
+    const verb = interaction.options.getSubcommand();
+
+    if (verb == 'videos') {
+      const policy = interaction.options.getString('policy', true) as VideoPolicy;
+      await setVideoPolicy(qc.guildId(), policy);
+      translated(qc, 'videoPolicySuccess', { policy });
+      log(`Changed video policy to ${policy}`, qc);
+    } else if (verb == 'previews') {
+      const enabled = interaction.options.getBoolean('enabled', true);
+      await setPreviews(qc.guildId(), enabled);
+      translated(qc, 'previewsSuccess', { enabled: enabled ? 'yes' : 'no' });
+      log(`${enabled ? 'Enabled' : 'Disabled'} link previews`, qc);
+    } else if (verb == 'timezone') {
+      const timezone = interaction.options.getString('timezone', true);
+      if (!isValidTimezone(timezone)) {
+        translated(qc, 'invalidTimezone', { timezone });
+        return;
+      }
+      await setTimezone(qc.guildId(), timezone);
+      translated(qc, 'timezoneSuccess', { timezone });
+      log(`Changed timezone to ${timezone}`, qc);
+    } else if (verb == 'sensitive') {
+      const policy = interaction.options.getString('policy', true) as SensitivePolicy;
+      await setSensitivePolicy(qc.guildId(), policy);
+      translated(qc, 'sensitivePolicySuccess', { policy });
+      log(`Changed sensitive tweets policy to ${policy}`, qc);
+    }
+  },
+}
+
+export default Config;
@@ -18,6 +18,7 @@ const Help: SlashCommand = {
       .addField(`/tweet`, i18n(language, 'usage-tweet'))
       .addField(`/start`, i18n(language, 'usage-start'))
       .addField(`/stop`, i18n(language, 'usage-stop'))
+      .addField(`/search`, i18n(language, 'usage-search'))
       .addField(`/lang`, i18n(language, 'usage-lang'))
       .addField(`/list`, i18n(language, 'usage-list'))
       .setFooter({ text: i18n(language, 'helpFooter', { artist: 'ryusukehamamoto' }) });
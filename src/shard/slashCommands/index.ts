@@ -1,26 +1,34 @@
 import announce from './announce'
+import config from './config'
 import lang from './lang'
 import list from './list'
 import qtprefix from './qtprefix'
 import start from './start'
 import stop from './stop'
+import search from './search'
+import stopsearch from './stopsearch'
 import stopchannel from './stopchannel'
 import tweet from './tweet'
 import tweetId from './tweetId'
+import status from './status'
 import help from './help'
 import { getClient } from '../discord/discord';
 import {SlashCommand} from './types';
 
 const commands : SlashCommand[] = [
   announce,
+  config,
   lang,
   list,
   qtprefix,
   start,
   stop,
+  search,
+  stopsearch,
   stopchannel,
   tweet,
   tweetId,
+  status,
   help
 ]
 
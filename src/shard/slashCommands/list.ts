@@ -1,4 +1,5 @@
 import { getChannelSubs } from "../../db/subs";
+import { getChannelQuerySubs } from "../../db/queries";
 import { getLang } from "../../db/guilds";
 import { formatSubsList, FORMAT_POST_EMBEDS } from "../format";
 import { embeds, translated } from "../post";
@@ -8,11 +9,15 @@ import {SlashCommand} from "./types";
 const List: SlashCommand = {
     data: new SlashCommandBuilder()
         .setName("list")
-        .setDescription("Lists all the users whose tweets you're getting automatically in the current channel."),
+        .setDescription("Lists all the users and searches whose tweets you're getting automatically in the current channel."),
     function: async ({ qc }) => {
         const gid = qc.guildId();
-        const [subs, lan] = await Promise.all([getChannelSubs(qc.id, true), getLang(gid)]);
-        const fmtResult = await formatSubsList(qc.serialize(), subs, lan);
+        const [subs, querySubs, lan] = await Promise.all([
+            getChannelSubs(qc.id, true),
+            getChannelQuerySubs(qc.id),
+            getLang(gid),
+        ]);
+        const fmtResult = await formatSubsList(qc.serialize(), [...subs, ...querySubs], lan);
         if (fmtResult.cmd === FORMAT_POST_EMBEDS) {
             const { embeds: pages } = fmtResult;
             embeds(qc, pages);
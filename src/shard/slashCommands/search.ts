@@ -0,0 +1,96 @@
+import { compute as computeFlags } from '../../flags';
+import { validateFilter } from '../../filters';
+import { normalizeQuery, validateQuery } from '../../queries';
+import { validateTemplate } from '../../templates';
+import { normalizeDigest } from '../../digest';
+import { parseSensitivePolicy } from '../../sensitive';
+import { cmd } from '../master';
+import { isChannelMod } from '../commands/checks';
+import { translated } from '../post';
+import log from '../../log';
+import {SlashCommand, SlashCommandDefinition} from './types';
+import {createSlashCommand, getBoolFlags} from './utils';
+
+const cmdDef : SlashCommandDefinition = {
+  name: "search",
+  description: 'Subscribe to a search query, like a hashtag, and post matching tweets in real time.',
+  options: [
+    {name: "query", description: "What to look for, in Twitter's rule syntax: #hashtag \"some phrase\" -is:retweet has:images...", type: "string", required: true},
+    {name: "message", description: "The message to send along each new tweet, can use {author}, {url}, {text}, {if retweet}...{end}...", type: "string"},
+    {name: "include", description: "Only post tweets matching one of these keywords, #hashtags or /regexes/.", type: "string"},
+    {name: "exclude", description: "Don't post tweets matching any of these keywords, #hashtags or /regexes/.", type: "string"},
+    {name: "digest", description: "Post tweets together in a digest: hourly, daily or daily HH:MM.", type: "string"},
+    {name: "sensitive", description: "What to do with sensitive tweets here: spoiler, skip or show (Default: the server's setting).", type: "string"},
+	{name: "notext", description: "Don't post text-only tweets (Default: False)."},
+	{name: "retweets", description: "Post retweets (Default: False)."},
+	{name: "noquotes", description: "Don't post quoted tweets (Default: False)."},
+	{name: "replies", description: "Post replies (Default: False)."},
+	{name: "threads", description: "Keep threads together in a Discord thread (Default: False)."},
+	{name: "syncdeletes", description: "Delete posted tweets when they're deleted on Twitter (Default: False)."},
+	{name: "plaintext", description: "Post the message and a link instead of an embed (Default: False)."},
+  ]
+}
+
+const Search : SlashCommand = {
+  data: createSlashCommand(cmdDef),
+  function: async ({ interaction, qc }) => {
+    const isMod = await isChannelMod(interaction.user, qc);
+    if (!isMod) {
+      translated(qc, 'startForMods');
+      log('Rejected command "search" with reason: startForMods');
+      return;
+    }
+
+    const query = normalizeQuery(interaction.options.getString('query', true));
+    const reason = validateQuery(query);
+    if (reason) {
+      translated(qc, 'invalidQuery', { reason, query });
+      return;
+    }
+
+    const flags = computeFlags(getBoolFlags(cmdDef, interaction));
+    const include = interaction.options.getString('include');
+    const exclude = interaction.options.getString('exclude');
+    const invalidTerm = validateFilter(include) || validateFilter(exclude);
+    if (invalidTerm) {
+      translated(qc, 'invalidFilter', { term: invalidTerm });
+      return;
+    }
+
+    const msg = interaction.options.getString('message');
+    const invalidPart = validateTemplate(msg);
+    if (invalidPart) {
+      translated(qc, 'invalidTemplate', { part: invalidPart });
+      return;
+    }
+
+    const digestOption = interaction.options.getString('digest');
+    const digest = normalizeDigest(digestOption);
+    if (digestOption && !digest) {
+      translated(qc, 'invalidDigest', { digest: digestOption });
+      return;
+    }
+
+    const sensitiveOption = interaction.options.getString('sensitive');
+    const sensitive = parseSensitivePolicy(sensitiveOption);
+    if (sensitiveOption && !sensitive) {
+      translated(qc, 'invalidSensitivePolicy', { policy: sensitiveOption });
+      return;
+    }
+
+    const [ownerId, guildId] = await Promise.all([qc.ownerId(), qc.guildId()]);
+
+    cmd('search', {
+      query,
+      flags,
+      qc: { ...qc.serialize(), ownerId, guildId },
+      msg,
+      include,
+      exclude,
+      digest,
+      sensitive,
+    });
+  },
+};
+
+export default Search;
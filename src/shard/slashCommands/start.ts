@@ -1,4 +1,8 @@
 import { compute as computeFlags } from '../../flags';
+import { validateFilter } from '../../filters';
+import { validateTemplate } from '../../templates';
+import { normalizeDigest } from '../../digest';
+import { parseSensitivePolicy } from '../../sensitive';
 import { cmd } from '../master';
 import { getScreenName } from '../commands/helpers';
 import { isChannelMod } from '../commands/checks';
@@ -12,11 +16,19 @@ const cmdDef : SlashCommandDefinition = {
   description: 'Subscribe to a twitter user and post their tweets in real time.',
   options: [
     {name: "users", description: "The @ of the user(s) to follow, separated by spaces.", type: "string", required: true},
-    {name: "message", description: "The message to send along each new tweet.", type: "string"},
+    {name: "message", description: "The message to send along each new tweet, can use {author}, {url}, {text}, {if retweet}...{end}...", type: "string"},
+    {name: "include", description: "Only post tweets matching one of these keywords, #hashtags or /regexes/.", type: "string"},
+    {name: "exclude", description: "Don't post tweets matching any of these keywords, #hashtags or /regexes/.", type: "string"},
+    {name: "digest", description: "Post tweets together in a digest: hourly, daily or daily HH:MM.", type: "string"},
+    {name: "sensitive", description: "What to do with sensitive tweets here: spoiler, skip or show (Default: the server's setting).", type: "string"},
 	{name: "notext", description: "Don't post text-only tweets (Default: False)."},
 	{name: "retweets", description: "Post retweets (Default: False)."},
 	{name: "noquotes", description: "Don't post quoted tweets (Default: False)."},
 	{name: "replies", description: "Post replies (Default: False)."},
+	{name: "threads", description: "Keep threads together in a Discord thread (Default: False)."},
+	{name: "syncdeletes", description: "Delete posted tweets when they're deleted on Twitter (Default: False)."},
+	{name: "plaintext", description: "Post the message and a link instead of an embed (Default: False)."},
+	{name: "notices", description: "Tell this channel when the account is renamed, goes private or is suspended (Default: False)."},
   ]
 }
 
@@ -31,6 +43,34 @@ const Start : SlashCommand = {
     }
 
     const flags = computeFlags(getBoolFlags(cmdDef, interaction));
+    const include = interaction.options.getString('include');
+    const exclude = interaction.options.getString('exclude');
+    const invalidTerm = validateFilter(include) || validateFilter(exclude);
+    if (invalidTerm) {
+      translated(qc, 'invalidFilter', { term: invalidTerm });
+      return;
+    }
+
+    const msg = interaction.options.getString('message');
+    const invalidPart = validateTemplate(msg);
+    if (invalidPart) {
+      translated(qc, 'invalidTemplate', { part: invalidPart });
+      return;
+    }
+
+    const digestOption = interaction.options.getString('digest');
+    const digest = normalizeDigest(digestOption);
+    if (digestOption && !digest) {
+      translated(qc, 'invalidDigest', { digest: digestOption });
+      return;
+    }
+
+    const sensitiveOption = interaction.options.getString('sensitive');
+    const sensitive = parseSensitivePolicy(sensitiveOption);
+    if (sensitiveOption && !sensitive) {
+      translated(qc, 'invalidSensitivePolicy', { policy: sensitiveOption });
+      return;
+    }
 
     const screenNamesArr = interaction.options.getString('users', true).split(' ');
     const screenNames = screenNamesArr.map(getScreenName);
@@ -41,7 +81,11 @@ const Start : SlashCommand = {
       screenNames,
       flags,
       qc: { ...qc.serialize(), ownerId, guildId },
-      msg: interaction.options.getString('message'),
+      msg,
+      include,
+      exclude,
+      digest,
+      sensitive,
     });
   },
 };
@@ -0,0 +1,24 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { cmd } from '../master';
+import { isOwner } from '../commands/checks';
+import { translated } from '../post';
+import log from '../../log';
+import {SlashCommand} from './types';
+
+const Status: SlashCommand = {
+  data: new SlashCommandBuilder()
+    .setName('status')
+    .setDescription('Shows the state of every Twitter stream this bot is using, and how much of its rate limits is left.'),
+
+  function: async ({ interaction, qc }) => {
+    const owner = await isOwner(interaction.user, qc);
+    if (!owner) {
+      translated(qc, 'statusForAdmin');
+      log(`Rejected command "status" with reason: statusForAdmin`);
+      return;
+    }
+    cmd('status', { qc: qc.serialize() });
+  },
+}
+
+export default Status;
@@ -1,5 +1,6 @@
 import log from '../../log';
 import { getChannelSubs } from '../../db/subs';
+import { getChannelQuerySubs } from '../../db/queries';
 import { translated } from '../post';
 import QChannel, { isQCSupportedChannel } from '../QChannel/QChannel';
 import { rmChannel } from '../../db/channels';
@@ -38,10 +39,11 @@ const StopChannel : SlashCommand = {
       }
       channelName = await new QChannel(channelObj).name();
     }
-    const subs = await getChannelSubs(targetChannel);
+    const [subs, querySubs] = await Promise.all([getChannelSubs(targetChannel), getChannelQuerySubs(targetChannel)]);
+    const count = subs.length + querySubs.length;
     await rmChannel(targetChannel);
-    log(`Removed all gets from channel ID:${targetChannel}. ${subs.length} subs removed.`, qc);
-    translated(qc, 'stopChannelSuccess', { subs: subs.length, channelName });
+    log(`Removed all gets from channel ID:${targetChannel}. ${count} subs removed.`, qc);
+    translated(qc, 'stopChannelSuccess', { subs: count, channelName });
   },
 }
 
@@ -0,0 +1,31 @@
+import { cmd } from '../master';
+import { translated } from '../post';
+import { normalizeQuery } from '../../queries';
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { isChannelMod } from '../commands/checks';
+import log from '../../log';
+import {SlashCommand} from './types';
+
+const StopSearch: SlashCommand = {
+  data: new SlashCommandBuilder()
+    .setName('stopsearch')
+    .setDescription('Causes QTweet to stop sending you tweets matching this search query.')
+    .addStringOption((option) => option.setName('query').setDescription('The query to unsubscribe from, as shown by /list.').setRequired(true)),
+
+  function: async ({ interaction, qc }) => {
+    const isMod = await isChannelMod(interaction.user, qc);
+    if (!isMod) {
+      translated(qc, 'stopForMods');
+      log('Rejected command "stopsearch" with reason: stopForMods');
+      return;
+    }
+    const query = normalizeQuery(interaction.options.getString('query'));
+    if (!query) {
+      translated(qc, 'usage-stopsearch');
+      return;
+    }
+    cmd('stopSearch', { query, qc: qc.serialize() });
+  },
+}
+
+export default StopSearch;
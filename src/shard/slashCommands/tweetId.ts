@@ -8,7 +8,7 @@ const TweetId: SlashCommand = {
         .setDescription("Post the formatted tweet with the specified ID.")
         .addStringOption(option => option.setName("id").setDescription("The tweet ID").setRequired(true)),
     function: async ({ qc, interaction }) => {
-        cmd("tweetId", { id: interaction.options.getString("id"), qc: qc.serialize() });
+        cmd("tweetId", { id: interaction.options.getString("id"), qc: qc.serialize(), guildId: qc.guildId() });
     },
 }
 
@@ -0,0 +1,206 @@
+// Finishes tweet messages from the master process, once we know which channel they're going to
+import { EmbedFieldData, FileOptions, MessageEmbedOptions, MessageOptions } from 'discord.js';
+import QChannel from './QChannel/QChannel';
+import { getLang, getSensitivePolicy, getVideoPolicy } from '../db/guilds';
+import { SensitivePolicy } from '../sensitive';
+import i18n from './i18n';
+import {
+  formatDuration, linkVariant, pickVariant, stripParams, VideoVariant,
+} from '../video';
+
+// A video the master process left for us to attach or link
+export type PendingVideo = {
+  // Index of the embed this video belongs to
+  embed: number;
+  variants: VideoVariant[];
+  durationMs: number | null;
+  previewUrl: string;
+}
+
+// A label for the embed's author, like the account that retweeted it
+export type PendingLabel = {
+  embed: number;
+  key: 'embedRetweet' | 'embedReply' | 'embedQuoted';
+  username?: string;
+}
+
+export type PendingPoll = {
+  embed: number;
+  options: { label: string; votes: number }[];
+  endsAt: string | null;
+  closed: boolean;
+}
+
+// The master process builds embeds as plain objects
+type TweetMessageOptions = Omit<MessageOptions, 'embeds'> & {
+  embeds?: MessageEmbedOptions[];
+}
+
+export type TweetMessage = TweetMessageOptions & {
+  videos?: PendingVideo[];
+  labels?: PendingLabel[];
+  polls?: PendingPoll[];
+  // Whether the tweet, or the tweet it quotes, was flagged as possibly sensitive
+  sensitive?: boolean;
+}
+
+const MB = 1024 * 1024;
+const DEFAULT_UPLOAD_LIMIT = 8 * MB;
+// Boosted guilds let us upload bigger files
+const uploadLimits = {
+  TIER_2: 50 * MB,
+  TIER_3: 100 * MB,
+};
+
+export const uploadLimit = async (qChannel: QChannel): Promise<number> => {
+  const guild = await qChannel.guild();
+  return (guild && uploadLimits[guild.premiumTier]) || DEFAULT_UPLOAD_LIMIT;
+};
+
+// Shows the video's thumbnail with a link to the video and its duration
+const linkVideo = (embed: MessageEmbedOptions, { variants, durationMs, previewUrl }: PendingVideo, lang: string) => {
+  const variant = linkVariant(variants);
+  const duration = durationMs ? ` (${formatDuration(durationMs)})` : '';
+  return {
+    ...embed,
+    image: { url: previewUrl },
+    description: `${embed.description}\n[${i18n(lang, 'embedVideoLink')}](${stripParams(variant.url)})${duration}`,
+  };
+};
+
+const labelAuthor = (embed: MessageEmbedOptions, { key, username }: PendingLabel, lang: string) => ({
+  ...embed,
+  author: {
+    ...embed.author,
+    name: i18n(lang, key, { name: embed.author.name, username }),
+  },
+});
+
+// Draws a bar for a poll option, as wide as its share of the votes
+const POLL_BAR_LENGTH = 10;
+const pollBar = (share: number) => {
+  const filled = Math.round(share * POLL_BAR_LENGTH);
+  return `${'█'.repeat(filled)}${'░'.repeat(POLL_BAR_LENGTH - filled)}`;
+};
+
+// Renders a poll as one field per option with its results if we have any, then when it ends.
+// Poll fields go before the alt text fields.
+const addPoll = (embed: MessageEmbedOptions, { options, endsAt, closed }: PendingPoll, lang: string) => {
+  const total = options.reduce((sum, { votes }) => sum + votes, 0);
+  const fields: EmbedFieldData[] = options.map(({ label, votes }) => ({
+    name: label,
+    value: total > 0
+      ? `${pollBar(votes / total)} ${Math.round((votes / total) * 100)}% (${votes})`
+      : pollBar(0),
+  }));
+  const summary = [i18n(lang, 'embedPollVotes', { votes: total })];
+  if (endsAt) {
+    const timestamp = Math.floor(Date.parse(endsAt) / 1000);
+    summary.push(closed
+      ? i18n(lang, 'embedPollEnded', { date: `<t:${timestamp}:f>` })
+      : i18n(lang, 'embedPollEnds', { date: `<t:${timestamp}:R>` }));
+  }
+  fields.push({
+    name: i18n(lang, closed ? 'embedPollResults' : 'embedPoll'),
+    value: summary.join(' · '),
+  });
+  return { ...embed, fields: fields.concat(embed.fields || []) };
+};
+
+// Discord hides attachments whose name starts with this until they're clicked
+const SPOILER_PREFIX = 'SPOILER_';
+
+const spoilerFile = (file: string | FileOptions): FileOptions => {
+  if (typeof file !== 'string') {
+    return file.name && !file.name.startsWith(SPOILER_PREFIX) ? { ...file, name: `${SPOILER_PREFIX}${file.name}` } : file;
+  }
+  const url = new URL(file);
+  const name = url.pathname.split('/').pop() || 'media';
+  // Discord only shows attachments as images if their name looks like one
+  const extension = name.includes('.') ? '' : `.${url.searchParams.get('format') || 'jpg'}`;
+  return { attachment: file, name: `${SPOILER_PREFIX}${name}${extension}` };
+};
+
+const spoilerText = (text: string | undefined) => (text ? `||${text}||` : text);
+
+// Hides a tweet message's media and text behind spoilers.
+// Embed images can't be spoilered, they become spoiler attachments instead,
+// gallery embeds only held an image so they go away with it.
+// Plain text messages keep their text, but their links are spoilered and don't get a preview
+const spoilMessage = ({ embeds = [], files = [], ...message }: TweetMessageOptions): TweetMessageOptions => {
+  if (embeds.length === 0) {
+    return {
+      ...message,
+      embeds,
+      files: files.map(spoilerFile),
+      content: message.content && message.content.replace(/https?:\/\/\S+/g, (url) => `||<${url}>||`),
+    };
+  }
+  const spoiledFiles = files.map(spoilerFile);
+  const spoiledEmbeds: MessageEmbedOptions[] = [];
+  embeds.forEach((embed) => {
+    const { image, ...rest } = embed;
+    if (image && image.url) spoiledFiles.push(spoilerFile(image.url));
+    if (!embed.author) return;
+    spoiledEmbeds.push({
+      ...rest,
+      description: spoilerText(rest.description),
+      fields: rest.fields && rest.fields.map((field) => (field.name.startsWith('ALT') ? { ...field, value: spoilerText(field.value) } : field)),
+    });
+  });
+  return { ...message, embeds: spoiledEmbeds, files: spoiledFiles };
+};
+
+// What to do with this tweet message in this channel.
+// Age-restricted channels get sensitive tweets as usual, other channels follow the subscription's policy,
+// or the guild's if the subscription doesn't have one
+export const sensitivePolicy = async (
+  qChannel: QChannel,
+  { sensitive = false }: TweetMessage,
+  policy: SensitivePolicy | null = null,
+): Promise<SensitivePolicy> => {
+  if (!sensitive || await qChannel.isNsfw()) return 'show';
+  return policy || getSensitivePolicy(qChannel.guildId());
+};
+
+// Words the labels and polls in the guild's language.
+// Attaches videos that fit in this guild's upload limit and links the others,
+// unless the guild asked for videos to always be linked
+const completeTweet = async (qChannel: QChannel, {
+  videos = [], labels = [], polls = [], ...message
+}: TweetMessage): Promise<TweetMessageOptions> => {
+  if (videos.length === 0 && labels.length === 0 && polls.length === 0) return message;
+  const lang = await getLang(qChannel.guildId());
+  const embeds = [...(message.embeds || [])];
+  labels.forEach((label) => {
+    embeds[label.embed] = labelAuthor(embeds[label.embed], label, lang);
+  });
+  polls.forEach((poll) => {
+    embeds[poll.embed] = addPoll(embeds[poll.embed], poll, lang);
+  });
+  if (videos.length === 0) return { ...message, embeds };
+  const [policy, limit] = await Promise.all([
+    getVideoPolicy(qChannel.guildId()),
+    uploadLimit(qChannel),
+  ]);
+  const files = [...(message.files || [])];
+  videos.forEach((video) => {
+    const attached = policy === 'link' ? null : pickVariant(video.variants, video.durationMs, limit);
+    if (attached) {
+      files.push(stripParams(attached.url));
+    } else {
+      embeds[video.embed] = linkVideo(embeds[video.embed], video, lang);
+    }
+  });
+  return { ...message, embeds, files };
+};
+
+// Finishes a tweet message for this channel, spoilering it if it's sensitive and the policy says so
+export const finalizeTweet = async (
+  qChannel: QChannel,
+  { sensitive = false, ...tweet }: TweetMessage,
+  policy: SensitivePolicy = 'show',
+): Promise<MessageOptions> => {
+  const message = await completeTweet(qChannel, tweet);
+  return sensitive && policy === 'spoiler' ? spoilMessage(message) : message;
+};
@@ -1,12 +1,34 @@
 import log from '../log';
 import {
-  userTimeline, userLookup, createStream, getError, showTweet, formatTweet, hasMedia,
+  userLookup, createStream, getError, formatTweet, checkQueryRule, getUserByName,
+  getTimeline, getNextTimelinePage, getTweet, usersCapacity, queriesCapacity, getStreamsStatus,
 } from '../twitter';
+import { hasMedia, isValid } from '../tweetRouting';
 import { post, postAnnouncement } from './shardManager';
 import { DbModificationsInfo, ShardMsgHandlerFunction } from '.';
 import { add, getAllSubs, rm } from '../db/subs';
+import { addQuerySub, getQueries, rmQuerySub } from '../db/queries';
 import { getUniqueChannels } from '../db/channels';
 import { getUserIds as SQLgetUserIds } from '../db/user';
+import { getPreviews } from '../db/guilds';
+import { rateLimitReset } from '../rateLimits';
+import updateAccount from '../accountUpdates';
+
+// Twitter's rate limit windows last this long, in minutes
+const RATE_LIMIT_WINDOW = 15;
+
+// Twitter, or our own rate limiting, told us to wait
+const rateLimited = (minutes: number) => ({
+  cmd: 'postTranslated',
+  trCode: 'twitterRateLimited',
+  minutes: Math.max(1, Math.ceil(minutes)),
+});
+
+// Returns what to tell the user if this error is about a rate limit, null otherwise
+const handleRateLimit = (e: any) => {
+  const reset = rateLimitReset(e);
+  return reset ? rateLimited((reset - Date.now()) / (60 * 1000)) : null;
+};
 
 const handleTwitterError = (code: number, msg: string, screenNames: string[]) => {
   if (code === 17 || code === 34) {
@@ -29,6 +51,8 @@ const handleTwitterError = (code: number, msg: string, screenNames: string[]) =>
       cmd: 'postTranslated',
       trCode: 'noSuchTwitterId',
     };
+  } if (code === 88) {
+    return rateLimited(RATE_LIMIT_WINDOW);
   }
   log(`Unknown twitter error: ${code} ${msg}`);
   return {
@@ -50,12 +74,14 @@ const getUserIds = async (screenNames: string[]): Promise<string[]> => {
 };
 
 export const start: ShardMsgHandlerFunction<'start'> = async ({
-  qc, flags, screenNames, msg: tweetMessage,
+  qc, flags, screenNames, msg: tweetMessage, include, exclude, digest, sensitive,
 }) => {
   let data = [];
   try {
     data = await getUserIds(screenNames);
   } catch (res) {
+    const limit = handleRateLimit(res);
+    if (limit) return limit;
     const { code, msg, message } = getError(res);
     if (!code) {
       log('Exception thrown without error');
@@ -68,8 +94,9 @@ export const start: ShardMsgHandlerFunction<'start'> = async ({
     }
     return handleTwitterError(code, msg || message, screenNames);
   }
-  const allUserIds = await SQLgetUserIds();
-  if (allUserIds.length + data.length >= 5000) {
+  const [allUserIds, queries] = await Promise.all([SQLgetUserIds(), getQueries()]);
+  const capacity = usersCapacity(queries.length);
+  if (allUserIds.length + data.length >= capacity) {
     // Filter out users which would be new users
     const filteredData = allUserIds.reduce((acc, { twitterId }) => {
       const idx = data.findIndex(({ id_str: userId }) => userId === twitterId);
@@ -78,7 +105,7 @@ export const start: ShardMsgHandlerFunction<'start'> = async ({
     }, []);
       // If we've had to drop users, display a message
     if (filteredData.length !== data.length) {
-      post(qc, { trCode: 'userLimit' }, 'translated');
+      post(qc, { trCode: 'userLimit', limit: capacity }, 'translated');
     }
     // If all users were new users, we're done.
     if (filteredData.length <= 0) {
@@ -89,8 +116,14 @@ export const start: ShardMsgHandlerFunction<'start'> = async ({
   const promises = data.map(({
     id_str: userId,
     screen_name: name,
-  }) => add(qc, userId, name, flags, tweetMessage));
+  }) => add(qc, userId, name, {
+    flags, msg: tweetMessage, include, exclude, digest, sensitive,
+  }));
   const results = await Promise.all(promises);
+  data.forEach(({ id_str: userId, screen_name: name, protected: isProtected }) => updateAccount(userId, {
+    handle: name,
+    status: isProtected ? 'protected' : 'active',
+  }));
   const redoStream = !!results.find(({ users }) => users !== 0);
   if (redoStream) createStream();
   return { data, results };
@@ -101,6 +134,8 @@ export const stop : ShardMsgHandlerFunction<'stop'> = async ({ qc, screenNames }
   try {
     data = await getUserIds(screenNames);
   } catch (response) {
+    const limit = handleRateLimit(response);
+    if (limit) return limit;
     const { code, msg, message } = getError(response);
     if (!code) {
       log(response);
@@ -126,77 +161,146 @@ export const stop : ShardMsgHandlerFunction<'stop'> = async ({ qc, screenNames }
   return { data, users, subs };
 };
 
-export const tweet : ShardMsgHandlerFunction<'tweet'> = async ({ count, flags, ...params }) => {
-  const TWEETS_MAX = 200;
-  // Get tweets 200 by 200 until we have count tweets
+export const search : ShardMsgHandlerFunction<'search'> = async ({
+  qc, query, flags, msg: tweetMessage, include, exclude, digest, sensitive,
+}) => {
+  const queries = await getQueries();
+  // Queries someone already follows have their rule already
+  if (!queries.some((q) => q.query === query)) {
+    const userIds = await SQLgetUserIds();
+    if (queries.length >= queriesCapacity(userIds.length)) {
+      return { cmd: 'postTranslated', trCode: 'queryLimit' };
+    }
+    try {
+      const detail = await checkQueryRule(query);
+      if (detail) {
+        return {
+          cmd: 'postTranslated', trCode: 'invalidQuery', reason: 'twitter', detail,
+        };
+      }
+    } catch (e) {
+      const limit = handleRateLimit(e);
+      if (limit) return limit;
+      log(`Exception thrown checking query ${query}`);
+      log(e.data || e);
+      return { cmd: 'postTranslated', trCode: 'searchGeneralError' };
+    }
+  }
+  const result = await addQuerySub(qc, query, {
+    flags, msg: tweetMessage, include, exclude, digest, sensitive,
+  });
+  if (result.queries !== 0) createStream();
+  return result;
+};
+
+export const stopSearch : ShardMsgHandlerFunction<'stopSearch'> = async ({ qc, query }) => {
+  const result = await rmQuerySub(qc.channelId, query);
+  if (result.queries > 0) createStream();
+  return result;
+};
+
+// v2 tells us about missing or private users and tweets with inline errors
+const handleV2Errors = (errors: any[] = [], fallback: { trCode: string, [key: string]: any }) => {
+  const [error] = errors;
+  const type = error && error.type ? error.type : '';
+  if (type.endsWith('/resource-not-found')) {
+    return error.resource_type === 'user' ? {
+      cmd: 'postTranslated',
+      trCode: 'noSuchTwitterUser',
+      count: 1,
+      name: error.value,
+    } : {
+      cmd: 'postTranslated',
+      trCode: 'noSuchTwitterId',
+    };
+  }
+  if (type.endsWith('/not-authorized-for-resource') && fallback.screenName) {
+    return {
+      cmd: 'postTranslated',
+      trCode: 'tweetNotAuthorized',
+      screenName: fallback.screenName,
+    };
+  }
+  if (error) {
+    log(`Unknown twitter error: ${error.title} ${error.detail}`);
+  }
+  return { cmd: 'postTranslated', ...fallback };
+};
+
+export const tweet : ShardMsgHandlerFunction<'tweet'> = async ({
+  count, flags, screen_name: screenName, guildId,
+}) => {
+  const TWEETS_MAX = 100;
+  const noRetweet = flags.indexOf('retweets') === -1;
+  const noText = flags.indexOf('notext') !== -1;
+  const generalError = { trCode: 'tweetGeneralError', screenName };
+  // Get tweets 100 by 100 until we have count tweets
   // or until we run out of tweets
   try {
-    const tweets = [];
-    let doneWithTimeline = false;
-    let maxId: string | undefined;
-    const p = {
-      ...params,
-      count: TWEETS_MAX,
-    };
-    const noRetweet = flags.indexOf('retweets') === -1;
-    const noText = flags.indexOf('notext') !== -1;
-    while (tweets.length < count && !doneWithTimeline) {
+    const { data: user, errors } = await getUserByName(screenName);
+    if (!user) return handleV2Errors(errors, generalError);
+    const timeline = await getTimeline(user.id, {
+      max_results: TWEETS_MAX,
+      ...(noRetweet ? { exclude: ['retweets'] } : {}),
+    });
+    if (timeline.tweets.length === 0 && timeline.errors.length > 0) {
+      return handleV2Errors(timeline.errors, generalError);
+    }
+    const matching = () => timeline.tweets.filter((t) => !noText || hasMedia(t, timeline.data.includes));
+    while (matching().length < count && !timeline.done) {
       // We can't really avoid await-ing inside of a loop here
       // as we don't know how often we need to await until we've read the result.
       // eslint-disable-next-line no-await-in-loop
-      const res = await userTimeline(maxId ? {
-        ...p,
-        max_id: maxId,
-      } : p);
-      if (res.length === 0) {
-        doneWithTimeline = true;
-      } else {
-        maxId = res[res.length - 1].id_str;
-      }
-      // Filter out retweets if the user asked us to
-      tweets.push(
-        ...res.filter((t) => (
-          (!noText || hasMedia(t))
-          && (!noRetweet || !t.retweeted_status)
-        )),
-      );
+      await getNextTimelinePage(timeline);
     }
-    return tweets.slice(0, count);
-  } catch (response) {
-    const { screen_name: screenName } = params;
-    const { code, msg, message } = getError(response);
-    if (!code) {
-      log('Exception thrown without error');
+    const tweets = matching().slice(0, count);
+    if (tweets.length === 0) {
+      return { cmd: 'postTranslated', trCode: 'noTweets', screenName };
+    }
+    const { includes } = timeline.data;
+    const validTweets = tweets.filter((t) => isValid({ data: t, includes }));
+    if (validTweets.length === 0) {
+      log(`Invalid tweets from ${screenName}'s timeline`);
+      log(tweets);
+      return { cmd: 'postTranslated', trCode: 'noValidTweets' };
+    }
+    const previews = await getPreviews(guildId);
+    const posts = await Promise.all(validTweets.map((t) => formatTweet({ data: t, includes }, previews)));
+    return { posts: posts.filter((p) => !!p) };
+  } catch (e) {
+    const limit = handleRateLimit(e);
+    if (limit) return limit;
+    // Twitter refuses handles which aren't valid
+    if (e.code === 400) {
       return {
-        cmd: 'postTranslated', trCode: 'tweetGeneralError', screenName,
+        cmd: 'postTranslated', trCode: 'noSuchTwitterUser', count: 1, name: screenName,
       };
     }
-    return handleTwitterError(code, msg || message, [screenName]);
+    log(`Exception thrown getting ${screenName}'s timeline`);
+    log(e.data || e);
+    return { cmd: 'postTranslated', ...generalError };
   }
 };
 
-export const tweetId : ShardMsgHandlerFunction<'tweetId'> = async ({ id }) => {
-  let t = null;
+export const tweetId : ShardMsgHandlerFunction<'tweetId'> = async ({ id, guildId }) => {
+  const generalError = { trCode: 'tweetIdGeneralError', id };
   try {
-    t = await showTweet(id);
-  } catch (response) {
-    const { code, msg, message } = getError(response);
-    if (!code) {
-      log('Exception thrown without error');
-      return {
-        cmd: 'postTranslated', trCode: 'tweetIdGeneralError', id,
-      };
+    const t = await getTweet(id);
+    if (!t.data) return handleV2Errors(t.errors, generalError);
+    const formatted = await formatTweet(t, await getPreviews(guildId));
+    if (!formatted) return { cmd: 'postTranslated', ...generalError };
+    return { formatted };
+  } catch (e) {
+    const limit = handleRateLimit(e);
+    if (limit) return limit;
+    // Twitter refuses IDs which aren't valid
+    if (e.code === 400) {
+      return { cmd: 'postTranslated', trCode: 'noSuchTwitterId' };
     }
-    return handleTwitterError(code, msg || message, [id]);
+    log(`Exception thrown getting tweet ${id}`);
+    log(e.data || e);
+    return { cmd: 'postTranslated', ...generalError };
   }
-  const formattedPromise = formatTweet(t);
-  const isQuoted = t.quoted_status && t.quoted_status.user;
-  if (isQuoted) {
-    const quotedPromise = formatTweet(t.quoted_status, true);
-    const [formatted, quoted] = await Promise.all([formattedPromise, quotedPromise]);
-    return { isQuoted, formatted, quoted };
-  }
-  return { isQuoted, formatted: await formattedPromise };
 };
 
 export const announce : ShardMsgHandlerFunction<'announce'> = async ({ msg }) => {
@@ -204,3 +308,5 @@ export const announce : ShardMsgHandlerFunction<'announce'> = async ({ msg }) =>
   postAnnouncement(msg, channels);
   return null;
 };
+
+export const status : ShardMsgHandlerFunction<'status'> = async () => getStreamsStatus();
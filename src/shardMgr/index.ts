@@ -1,14 +1,20 @@
 import {FlagName} from "../flags";
 import { QCSerialized } from "../shard/QChannel/type";
+import { SensitivePolicy } from "../sensitive";
 
 export const CMD_TWEET = 'tweet';
 export const CMD_TWEETID = 'tweetId';
 export const CMD_CRSTREAM = 'createStream';
 export const CMD_START = 'start';
 export const CMD_STOP = 'stop';
+export const CMD_SEARCH = 'search';
+export const CMD_STOP_SEARCH = 'stopSearch';
 export const CMD_ANNOUNCE = 'announce';
+export const CMD_STATUS = 'status';
+export const CMD_POST_RESULTS = 'postResults';
+export const CMD_DELIVERY_RESULT = 'deliveryResult';
 
-export type ShardCmd = typeof CMD_TWEET | typeof CMD_TWEETID | typeof CMD_CRSTREAM | typeof CMD_START | typeof CMD_STOP | typeof CMD_ANNOUNCE
+export type ShardCmd = typeof CMD_TWEET | typeof CMD_TWEETID | typeof CMD_CRSTREAM | typeof CMD_START | typeof CMD_STOP | typeof CMD_SEARCH | typeof CMD_STOP_SEARCH | typeof CMD_ANNOUNCE | typeof CMD_STATUS | typeof CMD_POST_RESULTS | typeof CMD_DELIVERY_RESULT
 
 type TrCmd = {
     cmd: string;
@@ -23,25 +29,34 @@ export type DbModificationsInfo = {
     channels?: number;
 }
 
+export type DbQueryModificationsInfo = {
+    subs: number;
+    queries: number;
+    channels?: number;
+}
+
 export type CmdTweet = {
     cmd: typeof CMD_TWEET;
     screen_name: string;
     tweet_type: string;
     qc: QCSerialized;
+    guildId: string;
     flags: FlagName[];
     count: number;
 }
 
-type MasterTweetResponse = any;
+type MasterTweetResponse = TrCmd | {
+    posts: any[];
+}
 
 export type CmdTweetId = {
     cmd: typeof CMD_TWEETID;
     id: string;
     qc: QCSerialized;
+    guildId: string;
 }
 
 type MasterTweetIdResponse = TrCmd | {
-    isQuoted: boolean;
     formatted: any;
 }
 
@@ -56,6 +71,10 @@ export type CmdStart = {
     // Needs a little extra info on this one
     qc: QCSerialized & { ownerId: string, guildId: string};
     msg: string|null;
+    include: string|null;
+    exclude: string|null;
+    digest: string|null;
+    sensitive: SensitivePolicy|null;
 }
 
 type MasterStartResponse = TrCmd | {
@@ -71,12 +90,89 @@ export type CmdStop = {
 
 type MasterStopResponse = TrCmd | DbModificationsInfo;
 
+// Subscribes a channel to a search query, see src/queries.ts
+export type CmdSearch = {
+    cmd: typeof CMD_SEARCH;
+    query: string;
+    flags: number;
+    qc: QCSerialized & { ownerId: string, guildId: string};
+    msg: string|null;
+    include: string|null;
+    exclude: string|null;
+    digest: string|null;
+    sensitive: SensitivePolicy|null;
+}
+
+type MasterSearchResponse = TrCmd | DbQueryModificationsInfo;
+
+export type CmdStopSearch = {
+    cmd: typeof CMD_STOP_SEARCH;
+    query: string;
+    qc: QCSerialized;
+}
+
+type MasterStopSearchResponse = TrCmd | DbQueryModificationsInfo;
+
 export type CmdAnnounce = {
     cmd: typeof CMD_ANNOUNCE;
     msg: string;
 }
 
-export type ShardMsg = CmdTweet | CmdTweetId | CmdCreateStream | CmdStart | CmdStop | CmdAnnounce;
+export type CmdStatus = {
+    cmd: typeof CMD_STATUS;
+    qc: QCSerialized;
+}
+
+export type StreamStatus = {
+    id: number;
+    state: 'connected' | 'reconnecting' | 'disconnected';
+    users: number;
+    queries: number;
+    rules: number;
+    reconnectDelay: number;
+}
+
+// What we know of a Twitter endpoint's rate limit
+export type QuotaStatus = {
+    app: number | 'user';
+    endpoint: string;
+    limit: number;
+    remaining: number;
+    // When the window resets, in ms. null if it already did
+    reset: number | null;
+    // Requests waiting for the window to reset
+    queued: number;
+}
+
+export type MasterStatusResponse = {
+    streams: StreamStatus[];
+    polling: 'poll' | 'backfill' | null;
+    capacity: number;
+    quotas: QuotaStatus[];
+}
+
+// How many posts ended with each return code of src/shard/post.ts, sent by shards every now and then
+export type CmdPostResults = {
+    cmd: typeof CMD_POST_RESULTS;
+    results: number[];
+}
+
+// A delivery from the master's queue, and which of its attempts this is
+export type Delivery = {
+    id: string;
+    attempt: number;
+}
+
+// Tells the master how posting a delivery went, with the return code of src/shard/post.ts
+export type CmdDeliveryResult = {
+    cmd: typeof CMD_DELIVERY_RESULT;
+    delivery: Delivery;
+    code: number;
+    // How many messages of the delivery were posted, if it takes several
+    posted: number;
+}
+
+export type ShardMsg = CmdTweet | CmdTweetId | CmdCreateStream | CmdStart | CmdStop | CmdSearch | CmdStopSearch | CmdAnnounce | CmdStatus | CmdPostResults | CmdDeliveryResult;
 
 type ShardMsgHandlerParam<T extends ShardCmd> =
     T extends typeof CMD_TWEET ? CmdTweet
@@ -84,6 +180,11 @@ type ShardMsgHandlerParam<T extends ShardCmd> =
     : T extends typeof CMD_CRSTREAM ? CmdCreateStream
     : T extends typeof CMD_START ? CmdStart
     : T extends typeof CMD_STOP ? CmdStop
+    : T extends typeof CMD_SEARCH ? CmdSearch
+    : T extends typeof CMD_STOP_SEARCH ? CmdStopSearch
+    : T extends typeof CMD_STATUS ? CmdStatus
+    : T extends typeof CMD_POST_RESULTS ? CmdPostResults
+    : T extends typeof CMD_DELIVERY_RESULT ? CmdDeliveryResult
     : CmdAnnounce
 
 type MasterShardResponse<T extends ShardCmd> =
@@ -92,10 +193,14 @@ type MasterShardResponse<T extends ShardCmd> =
     : T extends typeof CMD_CRSTREAM ? null
     : T extends typeof CMD_START ? MasterStartResponse
     : T extends typeof CMD_STOP ? MasterStopResponse
+    : T extends typeof CMD_SEARCH ? MasterSearchResponse
+    : T extends typeof CMD_STOP_SEARCH ? MasterStopSearchResponse
+    : T extends typeof CMD_STATUS ? MasterStatusResponse
     : null;
 
 export type MasterResponseMsg<T extends ShardCmd> = {
-    cmd: T;
+    // The command the shard sent, unless the response asked for another one like postTranslated
+    cmd: T | TrCmd['cmd'];
     qc?: QCSerialized;
     msg: ShardMsgHandlerParam<T>;
     res: MasterShardResponse<T>;
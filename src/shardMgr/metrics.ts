@@ -0,0 +1,139 @@
+// Exposes what the manager process knows about QTweet's health over HTTP:
+// GET /metrics answers in the Prometheus text format, GET /health answers 200 if we're delivering tweets, 503 if not.
+import { createServer, Server } from 'http';
+import log from '../log';
+import { mgr } from './shardManager';
+import { MasterStatusResponse as StreamsStatus } from '.';
+
+// 0 disables the server
+const port = Number(process.env.METRICS_PORT) || 0;
+// Only listen locally unless told otherwise
+const host = process.env.METRICS_HOST || '127.0.0.1';
+
+export type TweetOutcome = 'received' | 'discarded' | 'forwarded';
+
+const tweets: { [outcome in TweetOutcome]: number } = {
+  received: 0,
+  discarded: 0,
+  forwarded: 0,
+};
+
+// Post outcomes, by the return codes in src/shard/post.ts
+const postResultNames = ['success', 'unknown_error', 'handled_error', 'attempts_expired', 'unreachable'];
+const postResults = postResultNames.map(() => 0);
+
+let server: Server = null;
+
+export const countTweets = (outcome: TweetOutcome, count = 1) => {
+  tweets[outcome] += count;
+};
+
+// Takes how many posts ended with each return code, as reported by a shard
+export const countPostResults = (results: number[]) => {
+  results.forEach((count, code) => {
+    if (code < postResults.length) postResults[code] += count || 0;
+  });
+};
+
+const shardsReadiness = () => {
+  const manager = mgr();
+  if (!manager) return [];
+  return manager.shards.map((shard) => ({ id: shard.id, ready: shard.ready }));
+};
+
+const metric = (name: string, type: 'gauge' | 'counter', help: string, samples: [string, number][]) => [
+  `# HELP ${name} ${help}`,
+  `# TYPE ${name} ${type}`,
+  ...samples.map(([labels, value]) => `${name}${labels} ${value}`),
+].join('\n');
+
+const formatMetrics = ({
+  streams, polling, capacity, quotas,
+}: StreamsStatus) => {
+  const shards = shardsReadiness();
+  return `${[
+    metric('qtweet_stream_connected', 'gauge', 'Whether the stream is connected to Twitter.', streams.map(
+      ({ id, state }) => [`{stream="${id}"}`, state === 'connected' ? 1 : 0],
+    )),
+    metric('qtweet_stream_reconnect_delay_seconds', 'gauge', 'Delay before the stream\'s next reconnection attempt.', streams.map(
+      ({ id, reconnectDelay }) => [`{stream="${id}"}`, reconnectDelay / 1000],
+    )),
+    metric('qtweet_stream_rules', 'gauge', 'Rules registered on the stream.', streams.map(
+      ({ id, rules }) => [`{stream="${id}"}`, rules],
+    )),
+    metric('qtweet_stream_users', 'gauge', 'Users followed through the stream.', streams.map(
+      ({ id, users }) => [`{stream="${id}"}`, users],
+    )),
+    metric('qtweet_users', 'gauge', 'Users followed across all streams.', [
+      ['', streams.reduce((sum, { users }) => sum + users, 0)],
+    ]),
+    metric('qtweet_users_capacity', 'gauge', 'Users we can follow at most.', [['', capacity]]),
+    metric('qtweet_polling', 'gauge', 'Whether we\'re polling timelines instead of, or on top of, streaming.', [
+      ['{mode="poll"}', polling === 'poll' ? 1 : 0],
+      ['{mode="backfill"}', polling === 'backfill' ? 1 : 0],
+    ]),
+    metric('qtweet_tweets_total', 'counter', 'Tweets we got from Twitter, by what we did with them. Forwarded tweets count once per subscription.', [
+      ['{outcome="received"}', tweets.received],
+      ['{outcome="discarded"}', tweets.discarded],
+      ['{outcome="forwarded"}', tweets.forwarded],
+    ]),
+    metric('qtweet_posts_total', 'counter', 'Messages shards posted for us, by result code.', postResults.map(
+      (count, code) => [`{code="${code}",result="${postResultNames[code]}"}`, count],
+    )),
+    metric('qtweet_rate_limit_remaining', 'gauge', 'Requests Twitter still allows in the current rate limit window.', quotas.map(
+      ({ app, endpoint, remaining }) => [`{app="${app}",endpoint="${endpoint}"}`, remaining],
+    )),
+    metric('qtweet_rate_limit_queued', 'gauge', 'Requests waiting for their rate limit window to reset.', quotas.map(
+      ({ app, endpoint, queued }) => [`{app="${app}",endpoint="${endpoint}"}`, queued],
+    )),
+    metric('qtweet_shard_ready', 'gauge', 'Whether the shard is ready.', shards.map(
+      ({ id, ready }) => [`{shard="${id}"}`, ready ? 1 : 0],
+    )),
+  ].join('\n\n')}\n`;
+};
+
+// We're healthy if every shard is up and we're getting tweets one way or another
+const getHealth = ({ streams, polling }: StreamsStatus) => {
+  const shards = shardsReadiness();
+  const manager = mgr();
+  const shardsReady = !!manager && shards.length === manager.totalShards && shards.every(({ ready }) => ready);
+  const receiving = streams.length === 0
+    || streams.some(({ state }) => state === 'connected')
+    || polling === 'poll';
+  return {
+    healthy: shardsReady && receiving,
+    shardsReady,
+    receiving,
+    streams: streams.map(({ id, state }) => ({ id, state })),
+    polling,
+  };
+};
+
+// Takes a function returning the state of our streams, from ../twitter
+export const startMetricsServer = (getStreamsStatus: () => StreamsStatus) => {
+  if (!port || server) return;
+  server = createServer((req, res) => {
+    const path = (req.url || '').split('?')[0];
+    if (req.method !== 'GET' || (path !== '/metrics' && path !== '/health')) {
+      res.writeHead(404).end();
+      return;
+    }
+    try {
+      const status = getStreamsStatus();
+      if (path === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' }).end(formatMetrics(status));
+        return;
+      }
+      const health = getHealth(status);
+      res.writeHead(health.healthy ? 200 : 503, { 'Content-Type': 'application/json' }).end(JSON.stringify(health));
+    } catch (e) {
+      log('❌ Error while answering a metrics request:');
+      log(e);
+      res.writeHead(500).end();
+    }
+  });
+  server.on('error', (e) => {
+    log(`❌ Metrics server error: ${e.message}`);
+  });
+  server.listen(port, host, () => log(`⚙️ Serving metrics on http://${host}:${port}/metrics`));
+};
@@ -1,10 +1,12 @@
 import {
+  acknowledgeDelivery,
   createStream,
 } from '../twitter';
 import {
-  start, tweet, tweetId, stop, announce,
+  start, tweet, tweetId, stop, search, stopSearch, announce, status,
 } from './botCommands';
 import log from '../log';
+import { countPostResults } from './metrics';
 import { Shard } from 'discord.js';
 import { MasterResponseMsg, ShardCmd, ShardMsg, ShardMsgHandlerFunction } from '.';
 
@@ -16,7 +18,18 @@ const validCommands : {
   createStream,
   start,
   stop,
+  search,
+  stopSearch,
   announce,
+  status,
+  postResults: async ({ results }) => {
+    countPostResults(results);
+    return null;
+  },
+  deliveryResult: async ({ delivery, code, posted }) => {
+    await acknowledgeDelivery(delivery, code, posted);
+    return null;
+  },
 };
 
 const msgHandler = async (shard: Shard, msg: ShardMsg) => {
@@ -29,8 +42,8 @@ const msgHandler = async (shard: Shard, msg: ShardMsg) => {
   const res = await commandFunction(msg);
   if (res) {
     const masterResponse: MasterResponseMsg<typeof cmd> = {
-      cmd: res.cmd || cmd,
-      qc: res.qc || (msg.cmd !== 'createStream' && msg.cmd !== 'announce' ? msg.qc : undefined),
+      cmd: ('cmd' in res && res.cmd) || cmd,
+      qc: 'qc' in msg ? msg.qc : undefined,
       msg,
       res,
     }
@@ -0,0 +1,138 @@
+// Helpers to turn followed users and search queries into stream rules,
+// and to update rules incrementally.
+// User rules have no tag,
+// each query gets a rule of its own tagged with its ID so we know who it's for.
+
+// Twitter refuses rules longer than this
+export const RULE_MAX_LENGTH = 512;
+// How many rules Twitter lets us have on a single stream, Essential access only allows 5
+export const maxRules = Number(process.env.TWITTER_MAX_RULES) || 5;
+
+const SEPARATOR = ' OR ';
+// Twitter IDs are at most 19 digits long
+const MAX_USER_RULE_LENGTH = 'from:'.length + 19;
+
+const userRule = (id) => `from:${id}`;
+
+const QUERY_TAG_PREFIX = 'query:';
+
+export const queryTag = (queryId) => `${QUERY_TAG_PREFIX}${queryId}`;
+
+// Returns the ID of the query a rule is for, or null if it isn't a query rule
+export const tagQueryId = (tag) => (tag && tag.startsWith(QUERY_TAG_PREFIX)
+  ? tag.substring(QUERY_TAG_PREFIX.length)
+  : null);
+
+// Returns the user IDs a rule follows, or null if this isn't a rule we made
+export const ruleUserIds = (value) => {
+  const parts = value.split(SEPARATOR);
+  const ids = parts.map((part) => {
+    const match = /^from:(\d+)$/.exec(part);
+    return match && match[1];
+  });
+  return ids.every((id) => !!id) ? ids : null;
+};
+
+// Packs user IDs into as few rules as possible
+export const packRules = (userIds) => {
+  const rules = [];
+  userIds.forEach((id) => {
+    const last = rules.length - 1;
+    if (last < 0 || rules[last].length + SEPARATOR.length + userRule(id).length > RULE_MAX_LENGTH) {
+      rules.push(userRule(id));
+    } else {
+      rules[last] += `${SEPARATOR}${userRule(id)}`;
+    }
+  });
+  return rules;
+};
+
+// A rule is partially full if we could fit any user in it
+const isPartial = ({ value }) => (
+  value.length + SEPARATOR.length + MAX_USER_RULE_LENGTH <= RULE_MAX_LENGTH
+);
+
+// How many users fit in a single rule
+const USERS_PER_RULE = Math.floor(
+  (RULE_MAX_LENGTH + SEPARATOR.length) / (MAX_USER_RULE_LENGTH + SEPARATOR.length),
+);
+
+// How many users we can follow at most with this many rules
+export const userCapacity = (rulesCount = maxRules) => Math.max(rulesCount, 0) * USERS_PER_RULE;
+
+// How many rules it takes at least to follow this many users
+export const userRulesCount = (userCount) => Math.ceil(userCount / USERS_PER_RULE);
+
+// Takes the current query rules ([{ id, value, tag }])
+// and the queries we want ([{ queryId, query }]).
+// Rules are kept as long as their query is still wanted and hasn't changed.
+// Returns { add: [{ value, tag }], delete: [id] }
+export const diffQueryRules = (rules, queries) => {
+  const wanted = new Map(queries.map(({ queryId, query }) => [queryTag(queryId), query]));
+  const kept = new Set();
+  const toDelete = [];
+  rules.forEach(({ id, value, tag }) => {
+    if (wanted.get(tag) === value && !kept.has(tag)) {
+      kept.add(tag);
+    } else {
+      toDelete.push(id);
+    }
+  });
+  const add = [...wanted]
+    .filter(([tag]) => !kept.has(tag))
+    .map(([tag, value]) => ({ value, tag }));
+  return { add, delete: toDelete };
+};
+
+// Takes the current rules ([{ id, value }]) and the users we want to follow,
+// computes the smallest set of rules to add and delete to get there.
+// Rules only need to be touched if one of their users isn't followed anymore,
+// or if repacking partially-full rules saves us some rules.
+// Returns { add: [value], delete: [id], dropped: [userId] }
+// dropped is the users we can't follow without going over the rules cap.
+export const diffRules = (rules, userIds, rulesCap = maxRules) => {
+  const wanted = new Set(userIds);
+  const followed = new Set();
+  const kept = [];
+  const toDelete = [];
+  // Users we want to follow but whose rule is going away
+  const orphans = [];
+  rules.forEach(({ id, value }) => {
+    const ids = ruleUserIds(value);
+    if (ids && ids.every((uid) => wanted.has(uid) && !followed.has(uid))) {
+      ids.forEach((uid) => followed.add(uid));
+      kept.push({ id, value, userIds: ids });
+      return;
+    }
+    toDelete.push(id);
+    (ids || []).forEach((uid) => {
+      if (wanted.has(uid) && !followed.has(uid)) {
+        followed.add(uid);
+        orphans.push(uid);
+      }
+    });
+  });
+  let newUsers = orphans.concat(userIds.filter((uid) => !followed.has(uid)));
+  let toAdd = packRules(newUsers);
+  // See if putting the users from partially-full rules together with the new ones saves rules
+  const partial = kept.filter(isPartial);
+  if (newUsers.length > 0 && partial.length > 0) {
+    const repackedUsers = newUsers.concat(...partial.map((r) => r.userIds));
+    const repacked = packRules(repackedUsers);
+    if (repacked.length < toAdd.length + partial.length) {
+      partial.forEach((r) => {
+        toDelete.push(r.id);
+        kept.splice(kept.indexOf(r), 1);
+      });
+      newUsers = repackedUsers;
+      toAdd = repacked;
+    }
+  }
+  let dropped = [];
+  if (kept.length + toAdd.length > rulesCap) {
+    toAdd = toAdd.slice(0, Math.max(rulesCap - kept.length, 0));
+    const added = new Set([].concat(...toAdd.map(ruleUserIds)));
+    dropped = newUsers.filter((uid) => !added.has(uid));
+  }
+  return { add: toAdd, delete: toDelete, dropped };
+};
@@ -0,0 +1,111 @@
+import Backup from './backup';
+import log from './log';
+import Stream from './twitterStream';
+
+const twitterTimeoutDelay = Number(process.env.TWEETS_TIMEOUT);
+
+// Formats how long ago a timestamp was, for logging
+const secondsAgo = (timestamp) => (timestamp ? `${Math.round((Date.now() - timestamp) / 1000)}s ago` : 'never');
+
+// Every app gets its own stream, with its own reconnection delay and watchdog.
+// The slot keeps track of the stream's state,
+// what to do when it starts or fails is up to its handlers.
+class StreamSlot {
+  constructor(client, id, {
+    onStart, onData, onError, onEnd,
+  }) {
+    this.id = id;
+    // The users and queries this stream should follow
+    this.userIds = [];
+    this.queries = [];
+    this.connected = false;
+    this.failures = 0;
+    this.twitterTimeout = null;
+    this.reconnectionTimeoutID = null;
+    this.reconnectionDelay = new Backup({
+      mode: 'exponential',
+      startValue: 2 * 1000,
+      maxValue: Number(process.env.TWITTER_MAX_RECONNECT_DELAY) || 240000,
+    });
+    this.onEnd = onEnd;
+    this.stream = new Stream(
+      client,
+      () => onStart(this),
+      onData,
+      (err) => onError(this, err),
+      () => onEnd(this),
+      id,
+    );
+  }
+
+  followUsers(userIds) {
+    this.userIds = userIds;
+  }
+
+  followQueries(queries) {
+    this.queries = queries;
+  }
+
+  clearWatchdog() {
+    if (this.twitterTimeout) {
+      clearTimeout(this.twitterTimeout);
+      this.twitterTimeout = null;
+    }
+  }
+
+  armWatchdog(delay = twitterTimeoutDelay * 1000) {
+    this.clearWatchdog();
+    // 0 or an invalid number disables the watchdog
+    if (!twitterTimeoutDelay) return;
+    this.twitterTimeout = setTimeout(() => this.checkActivity(), delay);
+  }
+
+  // Watchdog: Twitter sends a keep-alive every 20s, if we don't hear anything
+  // from the stream for TWEETS_TIMEOUT seconds, it silently stalled and we reconnect it
+  checkActivity() {
+    this.twitterTimeout = null;
+    const { stream } = this;
+    if (!stream.stream) return;
+    const idleTime = Date.now() - stream.lastActivity();
+    if (idleTime < twitterTimeoutDelay * 1000) {
+      this.armWatchdog(twitterTimeoutDelay * 1000 - idleTime);
+      return;
+    }
+    log(`❌ Stream #${this.id} stalled: no data or keep-alive from Twitter in ${Math.round(idleTime / 1000)}s (last tweet: ${secondsAgo(stream.lastData)}, last keep-alive: ${secondsAgo(stream.lastKeepAlive)}), forcing a reconnection`);
+    this.onEnd(this);
+  }
+
+  // Called on stream connection, resets our reconnection delay
+  started() {
+    this.reconnectionDelay.reset();
+    this.failures = 0;
+    this.connected = true;
+    this.armWatchdog();
+  }
+
+  // Counts a failure, returns how many there's been in a row
+  failed() {
+    this.failures += 1;
+    return this.failures;
+  }
+
+  // If the stream already ended, there's no need to destroy it
+  disconnect(destroyStream = true) {
+    this.clearWatchdog();
+    this.connected = false;
+    this.stream.disconnected(destroyStream);
+  }
+
+  // Calls reconnect after this delay, instead of any reconnection we planned before
+  scheduleReconnection(delay, reconnect) {
+    if (this.reconnectionTimeoutID) {
+      clearTimeout(this.reconnectionTimeoutID);
+    }
+    this.reconnectionTimeoutID = setTimeout(() => {
+      this.reconnectionTimeoutID = null;
+      reconnect();
+    }, delay);
+  }
+}
+
+export default StreamSlot;
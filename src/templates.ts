@@ -0,0 +1,181 @@
+// This module defines subscription message templates
+// A template is the message sent along each tweet, stored as-is in the subs table's msg column:
+// - `{author}`, `{handle}`, `{url}`, `{type}`, `{text}` and `{hashtags}` get replaced with the tweet's info
+// - `{if cond}...{end}`, or `{if cond}...{else}...{end}`, only shows its content if cond is true.
+//   cond is a tweet type (tweet, retweet, reply or quote) or a placeholder name, which is true if it's not empty.
+//   `!cond` negates it, and `a|b` is true if any of them is.
+// - `{{` and `}}` are literal braces
+// Only the mentions written in the template ping anyone, not the ones a tweet's text or author name could contain
+
+export type TweetType = 'tweet' | 'retweet' | 'reply' | 'quote';
+
+// What a template gets rendered with
+export type TemplateVars = {
+  // The account that posted it, the retweeter for retweets
+  author: string;
+  handle: string;
+  url: string;
+  type: TweetType;
+  text: string;
+  hashtags: string;
+}
+
+type Condition = {
+  name: string;
+  negated: boolean;
+}
+
+type TemplateNode = { kind: 'text', value: string }
+  | { kind: 'var', name: keyof TemplateVars }
+  | { kind: 'if', conditions: Condition[], then: TemplateNode[], otherwise: TemplateNode[] };
+
+const MAX_TEMPLATE_LENGTH = 1000;
+// Discord refuses messages longer than this
+const MAX_MESSAGE_LENGTH = 2000;
+
+const varNames = ['author', 'handle', 'url', 'type', 'text', 'hashtags'];
+const tweetTypes = ['tweet', 'retweet', 'reply', 'quote'];
+
+// The message we send in plain text mode when a subscription has no template
+export const DEFAULT_PLAIN_TEMPLATE = '{text}';
+
+const tokenRegex = /\{\{|\}\}|\{([^{}]*)\}/g;
+
+const parseCondition = (raw: string, str: string): Condition[] => str.split('|').map((part) => {
+  const negated = part.startsWith('!');
+  const name = negated ? part.substring(1) : part;
+  if (!varNames.includes(name) && !tweetTypes.includes(name)) throw new Error(raw);
+  return { name, negated };
+});
+
+// Parses a template, throwing the first invalid part as an Error message
+export const parseTemplate = (str: string | null): TemplateNode[] => {
+  if (!str) return [];
+  if (str.length > MAX_TEMPLATE_LENGTH) throw new Error(str.substring(MAX_TEMPLATE_LENGTH - 20, MAX_TEMPLATE_LENGTH));
+  const root: TemplateNode[] = [];
+  // The nodes we're currently adding to, along with the {if} they belong to
+  const stack: { nodes: TemplateNode[], node: TemplateNode | null, raw: string }[] = [
+    { nodes: root, node: null, raw: '' },
+  ];
+  const addText = (value: string) => {
+    if (!value) return;
+    const { nodes } = stack[stack.length - 1];
+    const last = nodes[nodes.length - 1];
+    if (last && last.kind === 'text') {
+      last.value += value;
+    } else {
+      nodes.push({ kind: 'text', value });
+    }
+  };
+  let idx = 0;
+  tokenRegex.lastIndex = 0;
+  let match = tokenRegex.exec(str);
+  while (match) {
+    addText(str.substring(idx, match.index));
+    idx = match.index + match[0].length;
+    const [raw, inner] = match;
+    const top = stack[stack.length - 1];
+    if (raw === '{{' || raw === '}}') {
+      addText(raw[0]);
+    } else {
+      const [keyword, ...rest] = inner.trim().split(/\s+/);
+      if (keyword === 'if' && rest.length === 1) {
+        const node: TemplateNode = {
+          kind: 'if', conditions: parseCondition(raw, rest[0]), then: [], otherwise: [],
+        };
+        top.nodes.push(node);
+        stack.push({ nodes: node.then, node, raw });
+      } else if (keyword === 'else' && rest.length === 0) {
+        if (!top.node || top.node.kind !== 'if' || top.nodes !== top.node.then) throw new Error(raw);
+        top.nodes = top.node.otherwise;
+      } else if (keyword === 'end' && rest.length === 0) {
+        if (!top.node) throw new Error(raw);
+        stack.pop();
+      } else if (varNames.includes(keyword) && rest.length === 0) {
+        top.nodes.push({ kind: 'var', name: keyword as keyof TemplateVars });
+      } else {
+        throw new Error(raw);
+      }
+    }
+    match = tokenRegex.exec(str);
+  }
+  addText(str.substring(idx));
+  // An {if} nobody closed
+  if (stack.length > 1) throw new Error(stack[stack.length - 1].raw);
+  // A lone brace is most likely a typo
+  const stray = /[{}]/.exec(str.replace(tokenRegex, ''));
+  if (stray) throw new Error(stray[0]);
+  return root;
+};
+
+// Returns the first invalid part of this template, or null if it's valid
+export const validateTemplate = (str: string | null): string | null => {
+  try {
+    parseTemplate(str);
+  } catch (e) {
+    return e.message;
+  }
+  return null;
+};
+
+const conditionMatches = ({ name, negated }: Condition, vars: TemplateVars) => {
+  const res = tweetTypes.includes(name) ? vars.type === name : !!vars[name];
+  return negated ? !res : res;
+};
+
+const renderNodes = (nodes: TemplateNode[], vars: TemplateVars): string => nodes.map((node) => {
+  if (node.kind === 'text') return node.value;
+  if (node.kind === 'var') return vars[node.name];
+  return renderNodes(
+    node.conditions.some((c) => conditionMatches(c, vars)) ? node.then : node.otherwise,
+    vars,
+  );
+}).join('');
+
+// Templates are parsed once and reused for every tweet.
+// Messages saved before templates existed might not parse, those get sent as-is.
+const cache = new Map<string, TemplateNode[]>();
+
+const getNodes = (str: string): TemplateNode[] => {
+  if (!cache.has(str)) {
+    let nodes: TemplateNode[] = [{ kind: 'text', value: str }];
+    try {
+      nodes = parseTemplate(str);
+    } catch (e) {
+      // Keep it as text
+    }
+    cache.set(str, nodes);
+  }
+  return cache.get(str);
+};
+
+// Renders a subscription's template for a tweet, returns null if there's nothing to send
+export const renderTemplate = (str: string | null, vars: TemplateVars): string | null => {
+  if (!str) return null;
+  const res = renderNodes(getNodes(str), vars).trim();
+  return res ? res.substring(0, MAX_MESSAGE_LENGTH) : null;
+};
+
+// The text a template always contains, whatever the tweet
+const writtenText = (nodes: TemplateNode[]): string => nodes.map((node) => {
+  if (node.kind === 'text') return node.value;
+  if (node.kind === 'var') return '';
+  return `${writtenText(node.then)} ${writtenText(node.otherwise)}`;
+}).join(' ');
+
+// Discord only lets a message list this many users or roles to mention
+const MAX_MENTIONS = 100;
+
+// The allowed mentions for a subscription's messages, the ones written in its template
+export const templateMentions = (str: string | null): {
+  parse: 'everyone'[];
+  users: string[];
+  roles: string[];
+} => {
+  const text = str ? writtenText(getNodes(str)) : '';
+  return {
+    parse: /@(everyone|here)/.test(text) ? ['everyone'] : [],
+    users: [...text.matchAll(/<@!?(\d+)>/g)].map(([, id]) => id).slice(0, MAX_MENTIONS),
+    roles: [...text.matchAll(/<@&(\d+)>/g)].map(([, id]) => id).slice(0, MAX_MENTIONS),
+  };
+};
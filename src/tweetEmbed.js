@@ -0,0 +1,275 @@
+// Builds Discord embeds out of tweets from ./tweetModel
+// This is the only place tweets get formatted, live or fetched on demand
+import unfurlUrl from './unfurl';
+import log from './log';
+import { usableVariants } from './video';
+
+const colors = Object.freeze({
+  text: 0x69b2d6,
+  video: 0x67d67d,
+  image: 0xd667cf,
+  images: 0x53a38d,
+});
+
+// Link previews come from already sanitized lookups, we pick the first image
+const bestPicture = (unfurled) => (
+  unfurled && unfurled.images.length > 0 ? unfurled.images[0] : null
+);
+
+const formatTweetText = async (text, {
+  mentions, urls, hashtags, cashtags,
+}, lookupPreview) => {
+  const changes = [];
+  const metadata = {};
+  let offset = 0;
+  // Remove all the @s at the start of the tweet to make it shorter
+  let inReplies = true;
+  let replyIndex = 0;
+  mentions.forEach(({ username, start, end }) => {
+    if (inReplies && start === replyIndex) {
+      changes.push({ start, end: end + 1, newText: '' });
+      replyIndex = end + 1;
+    } else {
+      inReplies = false;
+      changes.push({
+        start,
+        end,
+        newText: `[@${username}](https://twitter.com/${username})`,
+      });
+    }
+  });
+  let bestPreview = null;
+  const unfurledLinks = lookupPreview
+    ? await Promise.all(urls.map(({ expandedUrl }) => unfurlUrl(expandedUrl)))
+    : [];
+  for (let i = urls.length - 1; i >= 0; i -= 1) {
+    const { expandedUrl, start, end } = urls[i];
+    if (!bestPreview && unfurledLinks[i]) {
+      bestPreview = bestPicture(unfurledLinks[i]);
+    }
+    changes.push({ start, end, newText: expandedUrl });
+  }
+  if (bestPreview) {
+    metadata.preview = bestPreview;
+  }
+  hashtags.forEach(({ tag, start, end }) => {
+    changes.push({
+      start,
+      end,
+      newText: `[#${tag}](https://twitter.com/hashtag/${tag}?src=hash)`,
+    });
+  });
+  cashtags.forEach(({ tag, start, end }) => {
+    changes.push({
+      start,
+      end,
+      newText: `[$${tag}](https://twitter.com/search?q=%24${tag}&src=cashtag)`,
+    });
+  });
+
+  let codePoints = [...text.normalize('NFC')];
+  changes
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, end, newText }) => {
+      const nt = [...newText.normalize('NFC')];
+      codePoints = codePoints
+        .slice(0, start + offset)
+        .concat(nt)
+        .concat(codePoints.slice(end + offset));
+      offset += nt.length - (end - start);
+    });
+  let fixedText = codePoints
+    .join('')
+    .replace(/&amp;/g, '&')
+    .replace(/&gt;/g, '>')
+    .replace(/&lt;/g, '<');
+  const linkIdx = fixedText.indexOf('https://t.co/');
+  if (linkIdx > -1) {
+    fixedText = fixedText.substring(0, linkIdx);
+  }
+  return {
+    text: fixedText,
+    metadata,
+  };
+};
+
+const authorName = ({ name, username }) => (name === username ? `@${username}` : `${name} (@${username})`);
+
+// Takes a tweet and creates its embed, the gallery embeds for its extra images,
+// and its video if it has one
+const createTweetEmbed = async (tweet, previews) => {
+  const { author, media } = tweet;
+  const embed = {
+    url: tweet.url,
+    author: {
+      name: authorName(author),
+      url: tweet.url,
+    },
+    thumbnail: {
+      url: author.profileImageUrl,
+    },
+  };
+  const isTextTweet = media.length === 0;
+  const { text: formattedText, metadata: { preview } } = await formatTweetText(
+    tweet.text,
+    tweet.entities,
+    isTextTweet && previews,
+  );
+  let gallery = [];
+  let video = null;
+  // Whether the embed's image is a link preview
+  let hasPreview = false;
+  if (isTextTweet) {
+    // Text tweet
+    if (preview) {
+      embed.image = { url: preview };
+      hasPreview = true;
+    }
+    embed.color = colors.text;
+  } else if (media[0].type === 'animated_gif' || media[0].type === 'video') {
+    // Gif/video
+    // Whether we attach it or link it depends on the guild, the shard posting it decides
+    const { variants, durationMs, previewUrl } = media[0];
+    if (usableVariants(variants).length > 0) {
+      video = { variants, durationMs, previewUrl };
+    } else {
+      log('Found video tweet with no valid url');
+      log(media[0]);
+      embed.image = { url: previewUrl };
+    }
+    embed.color = colors.video;
+  } else {
+    // Image(s)
+    // Extra images go in embeds sharing the tweet's url, Discord shows those as a single gallery
+    embed.image = { url: media[0].url };
+    gallery = media.slice(1, 4).map(({ url }) => ({ url: tweet.url, image: { url } }));
+    embed.color = media.length > 1 ? colors.images : colors.image;
+  }
+  // Alt text is numbered after its image when there's several of them
+  const altTexts = media
+    .map(({ altText }, idx) => ({
+      name: media.length > 1 ? `ALT ${idx + 1}` : 'ALT',
+      value: altText,
+    }))
+    .filter(({ value }) => !!value);
+  if (altTexts.length > 0) {
+    embed.fields = altTexts;
+  }
+  embed.description = formattedText;
+  // Polls and labels are worded in the language of the guild we post to, the shard adds them
+  return {
+    embed, gallery, video, hasPreview, poll: tweet.poll, label: null, sensitive: tweet.sensitive,
+  };
+};
+
+// Takes a tweet and creates its embed, along with the quoted tweet's embed if there's one.
+// Link previews are only looked up if previews is set.
+export const embedTweet = async (tweet, previews = true) => {
+  const current = await createTweetEmbed(tweet, previews);
+  if (tweet.retweetedBy) {
+    current.label = { key: 'embedRetweet', username: tweet.retweetedBy.username };
+  } else if (tweet.replyTo) {
+    current.label = { key: 'embedReply', username: tweet.replyTo.username };
+  }
+  if (tweet.quoted) {
+    const quoteEmbed = await createTweetEmbed(tweet.quoted, previews);
+    quoteEmbed.label = { key: 'embedQuoted' };
+    return [current, quoteEmbed];
+  }
+  return [current];
+};
+
+// A tweet's text without any formatting, with its links expanded
+const plainText = ({ text, entities: { urls } }) => {
+  let codePoints = [...text.normalize('NFC')];
+  [...urls]
+    .sort((a, b) => b.start - a.start)
+    .forEach(({ expandedUrl, start, end }) => {
+      codePoints = codePoints.slice(0, start).concat([...expandedUrl], codePoints.slice(end));
+    });
+  let res = codePoints
+    .join('')
+    .replace(/&amp;/g, '&')
+    .replace(/&gt;/g, '>')
+    .replace(/&lt;/g, '<');
+  // What's left of t.co links are links to the tweet's media
+  const linkIdx = res.indexOf('https://t.co/');
+  if (linkIdx > -1) {
+    res = res.substring(0, linkIdx);
+  }
+  return res.trim();
+};
+
+const tweetType = ({ retweetedBy, replyTo, quoted }) => {
+  if (retweetedBy) return 'retweet';
+  if (replyTo) return 'reply';
+  if (quoted) return 'quote';
+  return 'tweet';
+};
+
+// Takes a tweet and returns what subscription templates get rendered with
+export const templateVars = (tweet) => {
+  const poster = tweet.retweetedBy || tweet.author;
+  return {
+    author: poster.name,
+    handle: poster.username,
+    url: tweet.url,
+    type: tweetType(tweet),
+    text: plainText(tweet),
+    hashtags: tweet.entities.hashtags.map(({ tag }) => `#${tag}`).join(' '),
+  };
+};
+
+// Whether a tweet, or the tweet it quotes, was flagged as possibly sensitive
+export const isSensitive = ({ sensitive, quoted }) => (
+  !!sensitive || (!!quoted && !!quoted.sensitive)
+);
+
+// Replaces a tweet's embeds with some text followed by a link to it,
+// Discord shows its own preview of the tweet under it
+export const plainTweetMessage = (content, url, sensitive = false) => ({
+  content: content ? `${content.substring(0, 2000 - url.length - 1)}\n${url}` : url,
+  embeds: [],
+  files: [],
+  sensitive,
+});
+
+// Puts the embeds we made for a tweet together into a single message.
+// Videos, labels and polls are left in message.videos, message.labels and message.polls,
+// along with the index of their embed, for the shard to finalize with finalizeTweet.
+// message.sensitive tells the shard whether it shows anything
+// Twitter flagged as possibly sensitive.
+export const tweetMessage = ([main, quote], { withQuote = true, previews = true } = {}) => {
+  const withoutPreview = ({ embed, hasPreview }) => {
+    if (previews || !hasPreview) return embed;
+    const res = { ...embed };
+    delete res.image;
+    return res;
+  };
+  const message = {
+    embeds: [withoutPreview(main), ...main.gallery],
+    files: [],
+    videos: [],
+    labels: [],
+    polls: [],
+    sensitive: !!main.sensitive || (!!quote && withQuote && !!quote.sensitive),
+  };
+  const addExtras = ({ video, label, poll }, embed) => {
+    if (video) message.videos.push({ embed, ...video });
+    if (label) message.labels.push({ embed, ...label });
+    if (poll) message.polls.push({ embed, ...poll });
+  };
+  addExtras(main, 0);
+  if (quote && withQuote) {
+    // A link to the quoted tweet can give us one of its images as a preview, don't show it twice
+    const quoteImages = [quote.embed, ...quote.gallery].map(({ image }) => image && image.url);
+    const [first] = message.embeds;
+    if (first.image && quoteImages.includes(first.image.url)) {
+      message.embeds[0] = { ...first };
+      delete message.embeds[0].image;
+    }
+    addExtras(quote, message.embeds.length);
+    message.embeds.push(withoutPreview(quote), ...quote.gallery);
+  }
+  return message;
+};
@@ -0,0 +1,129 @@
+// Converts tweets from the v2 API into a single shape,
+// so a tweet looks the same whether we got it live or fetched it on demand.
+// A tweet looks like this:
+// {
+//   id, url, text,
+//   author: { id, name, username, profileImageUrl },
+//   entities: {
+//     mentions: [{ username, start, end }],
+//     urls: [{ expandedUrl, start, end }],
+//     hashtags: [{ tag, start, end }],
+//     cashtags: [{ tag, start, end }],
+//   },
+//   media: [{
+//     type, url, previewUrl, durationMs, altText, variants: [{ contentType, bitrate, url }],
+//   }],
+//   poll: { options: [{ label, votes }], endsAt: ISO date or null, closed } or null,
+//   retweetedBy: the author of the retweet, or null. The rest of the tweet is the original tweet.
+//   replyTo: { username } or null,
+//   quoted: the quoted tweet, or null,
+//   sensitive: whether Twitter flagged it as possibly sensitive,
+// }
+
+const tweetUrl = (username, id) => `https://twitter.com/${username}/status/${id}`;
+
+const hasIndices = (start, end) => (start || start === 0) && !!end;
+
+const fromV2Author = (user) => ({
+  id: user.id,
+  name: user.name,
+  username: user.username,
+  profileImageUrl: user.profile_image_url,
+});
+
+const fromV2Entities = ({
+  mentions = [], urls = [], hashtags = [], cashtags = [],
+} = {}) => ({
+  mentions: mentions
+    .filter(({ username, start, end }) => username && hasIndices(start, end))
+    .map(({ username, start, end }) => ({ username, start, end })),
+  urls: urls
+    .filter(({ expanded_url: expandedUrl, start, end }) => expandedUrl && hasIndices(start, end))
+    .map(({ expanded_url: expandedUrl, start, end }) => ({ expandedUrl, start, end })),
+  hashtags: hashtags
+    .filter(({ tag, start, end }) => tag && hasIndices(start, end))
+    .map(({ tag, start, end }) => ({ tag, start, end })),
+  cashtags: cashtags
+    .filter(({ tag, start, end }) => tag && hasIndices(start, end))
+    .map(({ tag, start, end }) => ({ tag, start, end })),
+});
+
+const fromV2Media = (mediaKeys, includes) => mediaKeys
+  .map((key) => includes.media.find(({ media_key: mediaKey }) => mediaKey === key))
+  .filter((media) => !!media)
+  .map(({
+    type, url, preview_image_url: previewUrl, duration_ms: durationMs, alt_text: altText,
+    variants = [],
+  }) => ({
+    type,
+    url: url || previewUrl,
+    previewUrl: previewUrl || url,
+    durationMs: durationMs || null,
+    altText: altText || null,
+    variants: variants.map(({ content_type: contentType, bit_rate: bitrate, url: variantUrl }) => ({
+      contentType, bitrate, url: variantUrl,
+    })),
+  }));
+
+const fromV2Poll = (pollIds, includes) => {
+  const poll = includes.polls.find(({ id }) => id === pollIds[0]);
+  if (!poll) return null;
+  return {
+    options: [...poll.options]
+      .sort((a, b) => a.position - b.position)
+      .map(({ label, votes }) => ({ label, votes: votes || 0 })),
+    endsAt: poll.end_datetime || null,
+    closed: poll.voting_status === 'closed',
+  };
+};
+
+const findUser = (includes, id) => includes.users && includes.users.find((u) => u.id === id);
+
+// Returns the tweet this tweet references with this type, if Twitter included it
+const findReferenced = (tweet, type, includes) => {
+  const ref = tweet.referenced_tweets && tweet.referenced_tweets.find((t) => t.type === type);
+  return (ref && includes.tweets && includes.tweets.find((t) => t.id === ref.id)) || null;
+};
+
+const fromV2Tweet = (tweet, includes) => {
+  const user = findUser(includes, tweet.author_id);
+  if (!user) return null;
+  const author = fromV2Author(user);
+  const replyUser = tweet.in_reply_to_user_id && findUser(includes, tweet.in_reply_to_user_id);
+  return {
+    id: tweet.id,
+    url: tweetUrl(author.username, tweet.id),
+    text: tweet.text,
+    author,
+    entities: fromV2Entities(tweet.entities),
+    media: tweet.attachments && tweet.attachments.media_keys && includes.media
+      ? fromV2Media(tweet.attachments.media_keys, includes)
+      : [],
+    poll: tweet.attachments && tweet.attachments.poll_ids && includes.polls
+      ? fromV2Poll(tweet.attachments.poll_ids, includes)
+      : null,
+    retweetedBy: null,
+    replyTo: replyUser ? { username: replyUser.username } : null,
+    quoted: null,
+    sensitive: !!tweet.possibly_sensitive,
+  };
+};
+
+// Takes a v2 tweet along with its includes, as we get them from a stream or a timeline.
+// Returns null if Twitter didn't give us enough to display it.
+const fromV2 = ({ data, includes = {} }) => {
+  const retweet = findReferenced(data, 'retweeted', includes);
+  const target = retweet || data;
+  const res = fromV2Tweet(target, includes);
+  if (!res) return null;
+  if (retweet) {
+    const retweeter = findUser(includes, data.author_id);
+    res.retweetedBy = retweeter ? fromV2Author(retweeter) : null;
+    res.sensitive = res.sensitive || !!data.possibly_sensitive;
+  }
+  const quote = findReferenced(target, 'quoted', includes) || findReferenced(data, 'quoted', includes);
+  res.quoted = quote ? fromV2Tweet(quote, includes) : null;
+  return res;
+};
+
+export default fromV2;
@@ -0,0 +1,190 @@
+// Decides which subscriptions get a tweet and what each of them gets.
+// It only needs the database and, for link previews, the web,
+// so recorded tweets can be replayed through it (see ./replay).
+import { isSet } from './flags';
+import { filtersMatch, hasFilters } from './filters';
+import log from './log';
+import { getUserSubs } from './db/subs';
+import { getQuerySubs } from './db/queries';
+import { tagQueryId } from './streamRules';
+import fromV2 from './tweetModel';
+import {
+  embedTweet, isSensitive, plainTweetMessage, templateVars, tweetMessage,
+} from './tweetEmbed';
+import { DEFAULT_PLAIN_TEMPLATE, renderTemplate, templateMentions } from './templates';
+
+// Checks if a v2 tweet has any media attached. If false, it's a text tweet
+export const hasMedia = ({ attachments }, includes) => !!(
+  attachments
+    && attachments.media_keys
+    && attachments.media_keys.length > 0
+    && includes && includes.media
+    && attachments.media_keys.every((a) => includes.media.some(({ media_key: mk }) => a === mk))
+);
+
+// Validation function for tweets
+export const isValid = (tweet) => !(
+  // Ignore undefined or null tweets
+  !tweet || !tweet.data || !tweet.data.id
+    // Ignore tweets without a user object
+    || !tweet.data.author_id
+    || !tweet.includes
+    || !tweet.includes.users
+);
+
+// Takes a tweet and determines whether or not it should be posted with these flags
+const flagsFilter = (flags, tweet) => {
+  if (isSet(flags, 'notext') && !hasMedia(tweet.data, tweet.includes)) {
+    return false;
+  }
+  const refs = tweet.data.referenced_tweets || [];
+  if (!isSet(flags, 'retweets') && refs.some((t) => t.type === 'retweeted')) return false;
+  if (isSet(flags, 'noquotes') && refs.some((t) => t.type === 'quoted')) return false;
+  if (!isSet(flags, 'replies') && refs.some((t) => t.type === 'replied_to'
+        && tweet.includes.tweets.find((i) => i.id === t.id).author_id !== tweet.data.author_id)) {
+    return false;
+  }
+  return true;
+};
+
+// Returns the text and hashtags subscription filters are tested against.
+// Retweets are filtered on the original tweet's text, which v2 doesn't truncate.
+const getFilterableTweet = ({ data, includes }) => {
+  const rtRef = (data.referenced_tweets || []).find((t) => t.type === 'retweeted');
+  const target = (rtRef && (includes.tweets || []).find((t) => t.id === rtRef.id)) || data;
+  const { text, entities } = target;
+  const fixedText = ((entities && entities.urls) || []).reduce(
+    (txt, { url, expanded_url: expandedUrl }) => (
+      url && expandedUrl ? txt.split(url).join(expandedUrl) : txt
+    ),
+    text,
+  )
+    .replace(/&amp;/g, '&')
+    .replace(/&gt;/g, '>')
+    .replace(/&lt;/g, '<');
+  return {
+    text: fixedText,
+    hashtags: ((entities && entities.hashtags) || []).map(({ tag }) => tag),
+  };
+};
+
+// The IDs of the queries a streamed tweet matched, tweets we polled didn't match any
+const matchingQueryIds = ({ matching_rules: matchingRules = [] }) => matchingRules
+  .map(({ tag }) => tagQueryId(tag))
+  .filter((queryId) => !!queryId);
+
+export const getFilteredSubs = async (tweet) => {
+  // Ignore invalid tweets
+  if (!isValid(tweet)) return [];
+  // Ignore tweets from people we don't follow or queries no one follows,
+  // and replies unless they're replies to oneself (threads)
+  const [userSubs, querySubs] = await Promise.all([
+    getUserSubs(tweet.data.author_id),
+    getQuerySubs(matchingQueryIds(tweet)),
+  ]);
+  const subs = userSubs.concat(querySubs);
+  if (
+    !subs
+    || subs.length === 0
+  ) return [];
+
+  const targetSubs = [];
+  let filterable = null;
+  for (let i = 0; i < subs.length; i += 1) {
+    const {
+      flags, channelId, isDM, msg, include, exclude, previews, digest, sensitive, queryId,
+    } = subs[i];
+    if (isDM) log(`Should we post ${tweet.data.id} in channel ${channelId}?`, null, true);
+    if (hasFilters({ include, exclude }) && !filterable) {
+      filterable = getFilterableTweet(tweet);
+    }
+    if (flagsFilter(flags, tweet)
+      && (!filterable || filtersMatch({ include, exclude }, filterable))) {
+      if (isDM) log(`Added (${channelId}, ${isDM}) to targetSubs.`, null, true);
+      targetSubs.push({
+        flags,
+        qChannel: { channelId, isDM },
+        msg,
+        previews,
+        digest,
+        sensitive,
+        // Query subscriptions get tweets from accounts no one follows
+        followsAuthor: !queryId,
+      });
+    }
+  }
+  return targetSubs;
+};
+
+// Returns the tweet this one continues if it's a reply to its own author, null otherwise
+const selfReplyParent = (data) => {
+  if (data.in_reply_to_user_id !== data.author_id) return null;
+  const ref = data.referenced_tweets && data.referenced_tweets.find((t) => t.type === 'replied_to');
+  return ref ? ref.id : null;
+};
+
+// Takes a tweet and the subscriptions that should get it, from getFilteredSubs.
+// Returns the model of the tweet, the digest entries to save and the posts to send,
+// or null if Twitter didn't give us enough to display the tweet.
+export const routeTweet = async (tweet, subs) => {
+  const model = fromV2(tweet);
+  if (!model) return null;
+  const vars = templateVars(model);
+  // Digest subscriptions get the tweet later, along with the others
+  const digestEntries = subs
+    .filter(({ digest }) => !!digest)
+    .map(({ qChannel: { channelId }, digest }) => ({
+      channelId,
+      digest,
+      entry: {
+        tweetId: tweet.data.id,
+        username: vars.handle,
+        type: vars.type,
+        text: vars.text,
+        url: vars.url,
+      },
+    }));
+  const liveSubs = subs.filter(({ digest }) => !digest);
+  // No need to make embeds or look up link previews if no one's going to see them
+  const embedSubs = liveSubs.filter(({ flags }) => !isSet(flags, 'plaintext'));
+  const embeds = embedSubs.length > 0
+    ? await embedTweet(model, embedSubs.some(({ previews }) => previews))
+    : null;
+  const threadOf = selfReplyParent(tweet.data);
+  const posts = liveSubs.map(({
+    flags, qChannel, msg, previews, sensitive,
+  }) => {
+    let message;
+    if (isSet(flags, 'plaintext')) {
+      const content = renderTemplate(msg || DEFAULT_PLAIN_TEMPLATE, vars);
+      message = plainTweetMessage(content, model.url, isSensitive(model));
+    } else {
+      message = tweetMessage(embeds, { withQuote: !isSet(flags, 'noquotes'), previews });
+      const content = renderTemplate(msg, vars);
+      if (content) {
+        message.content = content;
+      }
+    }
+    // Tweets can contain mentions too, those shouldn't ping anyone
+    message.allowedMentions = templateMentions(msg);
+    const threads = !!isSet(flags, 'threads');
+    const syncDeletes = !!isSet(flags, 'syncdeletes');
+    // The shard finishes the message for its channel,
+    // and decides what to do with it if it's sensitive.
+    // It can also remember where it posted the tweet,
+    // to keep the rest of the thread with it or delete it along with the tweet
+    return {
+      qChannel,
+      content: {
+        message,
+        sensitivePolicy: sensitive,
+        tweetId: tweet.data.id,
+        threadOf: threads ? threadOf : null,
+        username: model.author.username,
+        threads,
+        syncDeletes,
+      },
+    };
+  });
+  return { model, digestEntries, posts };
+};
@@ -1,652 +1,500 @@
-import { TwitterApi, ETwitterApiError } from 'twitter-api-v2';
-import Twitter from 'twitter-lite';
-import unfurl from 'unfurl.js';
-import { isSet } from './flags';
-import Backup from './backup';
+import { ETwitterApiError } from 'twitter-api-v2';
 import log from './log';
 
+import { appLogin, v1Client } from './twitterApi';
+import {
+  getQuotas, limited, PRIORITY_BACKGROUND, PRIORITY_COMMAND,
+} from './rateLimits';
 import { post, someoneHasChannel } from './shardMgr/shardManager';
-import Stream from './twitterStream';
+import { countTweets } from './shardMgr/metrics';
+import { tweetParams } from './twitterStream';
+import StreamSlot from './streamSlot';
+import {
+  maxRules, queryTag, ruleUserIds, tagQueryId, userCapacity, userRulesCount,
+} from './streamRules';
+import Poller from './twitterPoller';
+import DeletionChecker from './deletionChecker';
+import DigestScheduler from './digestScheduler';
+import DeliveryQueue from './deliveryQueue';
+import UserChecker from './userChecker';
+import fromV2 from './tweetModel';
+import { embedTweet, tweetMessage } from './tweetEmbed';
+import { getFilteredSubs, routeTweet } from './tweetRouting';
+import recordPayload from './payloadRecorder';
+import updateAccount from './accountUpdates';
 import {
-  updateUser,
+  setLastTweetId,
   getUserIds,
-  getUsersForSanityCheck,
-  bulkDeleteUsers,
 } from './db/user';
-import {
-  getUserSubs,
-} from './db/subs';
 import {
   getChannels,
   rmChannel,
 } from './db/channels';
+import { getQueries } from './db/queries';
+import { addDigestEntry } from './db/digests';
 import {
   sanityCheck as dbSanityCheck,
 } from './db';
 
-// Stream object, holds the twitter feed we get posts from, initialized at the first
-let stream = null;
-let twitterTimeout = null;
-const twitterTimeoutDelay = Number(process.env.TWEETS_TIMEOUT);
-
-const colors = Object.freeze({
-  text: 0x69b2d6,
-  video: 0x67d67d,
-  image: 0xd667cf,
-  images: 0x53a38d,
-});
+// Stream slots, one per Twitter app, each holds a twitter feed we get posts from.
+// Initialized at the first stream creation
+let streams = null;
+// Poller object, used instead of the stream when we can't get one
+let poller = null;
 
-const tClient = new Twitter({
+// Our v1.1 client uses the main app with a user's credentials,
+// Twitter counts its rate limits apart from the app's
+const USER_APP = 'user';
+const tClient = v1Client({
   consumer_key: process.env.TWITTER_API_KEY,
   consumer_secret: process.env.TWITTER_API_SECRET_KEY,
   access_token_key: process.env.TWITTER_ACCESS_TOKEN,
   access_token_secret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
 });
 
-const consumerClient = new TwitterApi({
-  appKey: process.env.TWITTER_API_KEY,
-  appSecret: process.env.TWITTER_API_SECRET_KEY,
-});
-const tClient2 = await consumerClient.appLogin();
-
-const DISABLE_STREAMS = !!Number(process.env.DISABLE_STREAMS);
+// Credentials for every Twitter app we can use, the first one is our main app.
+// Extra apps are only used to get more streams.
+const appCredentials = [
+  { appKey: process.env.TWITTER_API_KEY, appSecret: process.env.TWITTER_API_SECRET_KEY },
+].concat((process.env.TWITTER_EXTRA_APPS || '')
+  .split(' ')
+  .filter((pair) => !!pair)
+  .map((pair) => {
+    const [appKey, appSecret] = pair.split(':');
+    return { appKey, appSecret };
+  }));
 
-const reconnectionDelay = new Backup({
-  mode: 'exponential',
-  startValue: 2 * 1000,
-  maxValue: Number(process.env.TWITTER_MAX_RECONNECT_DELAY) || 240000,
-});
+// Apps are numbered from 1, like our streams
+const MAIN_APP = 1;
 
-let reconnectionTimeoutID = null;
+// Clients for every app, logged in the first time we need them
+let appClients = null;
 
-export const destroyStream = () => {
-  if (stream) { stream.disconnected(); }
+const getClients = () => {
+  if (!appClients) {
+    appClients = Promise.all(
+      appCredentials.map((credentials, idx) => appLogin(credentials, idx + 1)),
+    ).catch((e) => {
+      // Try again next time
+      appClients = null;
+      throw e;
+    });
+  }
+  return appClients;
 };
 
-// Checks if a tweet has any media attached. If false, it's a text tweet
-export const hasMedia = ({
-  extended_entities: extendedEntities,
-  extended_tweet: extendedTweet,
-  retweeted_status: retweetedStatus,
-  // v2 API:
-  attachments
-}, includes) =>
-  attachments
-    && attachments.media_keys
-    && attachments.media_keys.length > 0
-    && includes && includes.media
-  && attachments.media_keys.every(a => includes.media.some(({id}) => a === id))
-  // v1 API:
-  || extendedEntities
-    && extendedEntities.media
-    && extendedEntities.media.length > 0
-  || extendedTweet
-    && extendedTweet.extended_entities
-    && extendedTweet.extended_entities.media
-    && extendedTweet.extended_entities.media.length > 0
-  || retweetedStatus
-    && retweetedStatus.extended_entities
-    && retweetedStatus.extended_entities.media
-    && retweetedStatus.extended_entities.media.length > 0;
-
-// Validation function for tweets
-export const isValid = (tweet) => !(
-  // Ignore undefined or null tweets
-  !tweet || !tweet.data || !tweet.data.id
-    // Ignore tweets without a user object
-    || !tweet.data.author_id
-    || !tweet.includes
-    || !tweet.includes.users
+// Our main app's client
+const getClient = async () => (await getClients())[0];
+
+// Makes a request to this endpoint with our main app's client, once its rate limit allows it
+const request = (endpoint, priority, fn) => getClient().then(
+  (client) => limited(MAIN_APP, endpoint, priority, () => fn(client)),
 );
 
-const unfurlUrl = async (url) => {
-  const { expanded_url: expandedUrl, indices = [ url.start, url.end ] } = url;
-  if (!(expandedUrl && indices && indices.length === 2)) return null;
-  try {
-    const unfurledUrl = await unfurl(expandedUrl);
-    return { unfurledUrl, expandedUrl, indices };
-  } catch (e) {
-    return { unfurledUrl: null, expandedUrl, indices };
-  }
-};
+// Same, for jobs that can wait
+const backgroundRequest = (endpoint, fn) => request(endpoint, PRIORITY_BACKGROUND, fn);
 
-const bestPicture = (twitterCard, openGraph) => {
-  let images = (twitterCard && twitterCard.images) || [];
-  if (openGraph && openGraph.images) {
-    images = images.concat(openGraph.images);
-  }
-  images = images.filter(({ url }) => {
-    if (!url) return false; // Ignore invalid images
-    if (!url.startsWith('http') && !url.startsWith('//')) return false; // Ignore URLS that aren't valid
-    const idx = url.indexOf('.');
-    return (idx > -1 && idx < url.length - 1); // Ignore if there's no dot
-  });
-  if (images.length < 1) return null;
-  const bestImg = images[0].url;
-  return bestImg.startsWith('//') ? `https:${bestImg}` : bestImg;
+const DISABLE_STREAMS = !!Number(process.env.DISABLE_STREAMS);
+// How many times in a row a stream can fail before we fall back to polling, 0 means never
+const pollingFallbackErrors = Number(process.env.POLLING_FALLBACK_ERRORS) || 0;
+
+// How many rules we have, across all our streams
+const rulesCapacity = () => appCredentials.length * maxRules;
+
+// How many users we can follow across all our streams, when this many queries take a rule each
+export const usersCapacity = (queryCount = 0) => userCapacity(rulesCapacity() - queryCount);
+
+// How many queries we can follow across all our streams, with the rules these users take
+export const queriesCapacity = (userCount = 0) => rulesCapacity() - userRulesCount(userCount);
+
+export const destroyStream = () => {
+  if (streams) streams.forEach((slot) => slot.disconnect());
 };
 
-const formatTweetText = async (text, entities, isTextTweet) => {
-  if (!entities) return text;
-  const { user_mentions: userMentions, mentions, urls, hashtags, cashtags } = entities;
-  const changes = [];
-  const metadata = {};
-  let offset = 0;
-  // Remove all the @s at the start of the tweet to make it shorter
-  let inReplies = true;
-  let replyIndex = 0;
-  if (userMentions || mentions) {
-    // v1 user_mentions:
-    (userMentions && userMentions.filter(
-        ({ screen_name: screenName, indices }) => screenName && indices && indices.length === 2
-      // v2 mentions conversion:
-      ) || mentions.reduce(
-        (a, { start, end, username }) => {
-          if((start || start === 0) && end && username) {
-            a.push({screen_name: username, indices: [start, end]});
-          }
-          return a;
-        }, []))
-    // Handle mentions for both APIs
-    .forEach(({ screen_name: screenName, name, indices }) => {
-      const [start, end] = indices;
-      if (inReplies && start === replyIndex) {
-        changes.push({ start, end: end + 1, newText: '' });
-        replyIndex = end + 1;
-      } else {
-        inReplies = false;
-        changes.push({
-          start,
-          end,
-          newText: `[@${
-            name || screenName
-          }](https://twitter.com/${screenName})`,
-        });
-      }
-    });
+// Tweets we recently posted, mapped to the channels we posted them in.
+// The backfill and the stream can both give us the same tweet,
+// this makes sure we only post it once.
+const recentPosts = new Map();
+const recentPostsTTL = 1000 * 60 * 60 * 2;
+
+const wasPosted = (tweetId, channelId) => recentPosts.has(tweetId)
+  && recentPosts.get(tweetId).channels.has(channelId);
+
+// Returns false if we already posted this tweet in this channel, otherwise remembers that we did
+const claimPost = (tweetId, channelId) => {
+  const now = Date.now();
+  // Tweets are added in the order we post them, so the ones to forget are at the start
+  let oldest = recentPosts.entries().next().value;
+  while (oldest && now - oldest[1].postedAt > recentPostsTTL) {
+    recentPosts.delete(oldest[0]);
+    oldest = recentPosts.entries().next().value;
   }
-  let bestPreview = null;
-  if (urls) {
-    const unfurledLinks = await Promise.all(urls.map(unfurlUrl));
-    for (let i = unfurledLinks.length - 1; i >= 0; i -= 1) {
-      if (unfurledLinks[i] !== null) {
-        const {
-          expandedUrl, indices,
-        } = unfurledLinks[i];
-        if (isTextTweet && !bestPreview && unfurledLinks[i].unfurledUrl !== null) {
-          const {
-            unfurledUrl: {
-              open_graph: openGraph,
-              twitter_card: twitterCard,
-            },
-          } = unfurledLinks[i];
-          bestPreview = bestPicture(twitterCard, openGraph);
-        }
-        const [start, end] = indices;
-        changes.push({ start, end, newText: expandedUrl });
-      }
-    }
-  }
-  if (bestPreview) {
-    metadata.preview = bestPreview;
+  if (!recentPosts.has(tweetId)) {
+    recentPosts.set(tweetId, { postedAt: now, channels: new Set() });
   }
-  if (hashtags) {
-    hashtags
-      .filter(({ text: hashtagTxt, indices, tag, start, end }) => {
-        hashtagTxt && indices && indices.length === 2 || tag && start && end
-      })
-      .forEach(({ text: hashtagTxt, indices, tag, start, end }) => {
-        if (indices) {
-          [start, end] = indices;
-          tag = hashtagTxt;
-        }
-        changes.push({
-          start,
-          end,
-          newText: `[#${tag}](https://twitter.com/hashtag/${tag}?src=hash)`,
-        });
-      });
+  const { channels } = recentPosts.get(tweetId);
+  if (channels.has(channelId)) return false;
+  channels.add(channelId);
+  return true;
+};
+
+// Takes a tweet from the stream or the poller and posts it wherever it should go
+const handleTweet = async (tweet) => {
+  recordPayload(tweet);
+  countTweets('received');
+  const subs = (await getFilteredSubs(tweet))
+    .filter(({ qChannel: { channelId } }) => !wasPosted(tweet.data.id, channelId));
+  if (subs.length === 0) {
+    log('✅ Discarded a tweet', null, true);
+    countTweets('discarded');
+    return;
   }
-  if (cashtags) {
-    cashtags
-      .filter(({ tag, start, end }) => tag && start && end)
-      .forEach(({ tag, start, end }) => {
-        changes.push({
-          start,
-          end,
-          newText: `[$${tag}](https://twitter.com/search?q=%24${tag}&src=cashtag)`,
-        });
-      });
+  log(`✅ Received valid tweet: ${tweet.data.id}, forwarding to ${subs.length} Discord subscriptions`, null, true);
+  const routed = await routeTweet(tweet, subs);
+  if (!routed) {
+    // We didn't claim it, so we'll try again if the poller or the stream gives it to us again
+    log(`❌ Couldn't read tweet ${tweet.data.id}, discarding it`);
+    countTweets('discarded');
+    return;
   }
-
-  let codePoints = [...text.normalize('NFC')];
-  changes
-    .sort((a, b) => a.start - b.start)
-    .forEach(({ start, end, newText }) => {
-      const nt = [...newText.normalize('NFC')];
-      codePoints = codePoints
-        .slice(0, start + offset)
-        .concat(nt)
-        .concat(codePoints.slice(end + offset));
-      offset += nt.length - (end - start);
+  // Another copy of this tweet might have been routed while we were busy with this one,
+  // claiming without awaiting anything in between means only one of them gets each channel
+  const digestEntries = routed.digestEntries
+    .filter(({ channelId }) => claimPost(tweet.data.id, channelId));
+  const posts = routed.posts
+    .filter(({ qChannel: { channelId } }) => claimPost(tweet.data.id, channelId));
+  countTweets('forwarded', digestEntries.length + posts.length);
+  digestEntries.forEach(({ channelId, digest, entry }) => {
+    addDigestEntry(channelId, digest, entry).catch((e) => {
+      log(`❌ Couldn't add tweet ${tweet.data.id} to a digest for ${channelId}`);
+      log(e);
     });
-  let fixedText = codePoints
-    .join('')
-    .replace(/&amp;/g, '&')
-    .replace(/&gt;/g, '>')
-    .replace(/&lt;/g, '<');
-  const linkIdx = fixedText.indexOf('https://t.co/');
-  if (linkIdx > -1) {
-    fixedText = fixedText.substring(0, linkIdx);
-  }
-  return {
-    text: fixedText,
-    metadata,
-  };
+  });
+  posts.forEach(({ qChannel, content }) => {
+    // eslint-disable-next-line no-use-before-define
+    deliveryQueue.enqueue(qChannel, tweet.data.id, content, 'tweet');
+  });
+  // We only keep track of the accounts we follow
+  if (!subs.some(({ followsAuthor }) => followsAuthor)) return;
+  setLastTweetId(tweet.data.author_id, tweet.data.id);
+  const author = tweet.includes.users.find((u) => u.id === tweet.data.author_id);
+  // They wouldn't be streamed to us if they were gone or protected
+  updateAccount(tweet.data.author_id, { handle: author && author.username, status: 'active' });
 };
 
-// Takes a v2 tweet and creates its embed.
-const createTweetEmbed = async (tweet, includes) => {
-  const { text, entities } = tweet;
-  const author = includes && includes.users
-    && includes.users.find(u => u.id === tweet.author_id);
-  const embed = {
-    url: `https://twitter.com/${author.username}/status/${tweet.id}`,
-    author: {
-      name: author.name === author.username ? `@${author.username}` : `${author.name} (@${author.username})`,
-      url: `https://twitter.com/${author.username}/status/${tweet.id}`,
-    },
-    thumbnail: {
-      url: author.profile_image_url,
-    },
-  };
-  const isTextTweet = !hasMedia(tweet, includes);
-  const { text: formattedText, metadata: { preview: image } } = await formatTweetText(
-    text,
-    entities,
-    isTextTweet,
-  );
-  let txt = formattedText;
-  let files = [];
-  if (isTextTweet) {
-    // Text tweet
-    if (image) {
-      embed.image = { url: image };
-    }
-    embed.color = colors.text;
-  } else {
-    const {
-      type,
-      url,
-      duration_ms,
-      variants,
-      preview_image_url
-    } = includes.media.find(
-      ({media_key}) => media_key === tweet.attachments.media_keys[0]
-    );
-    if (type === 'animated_gif' || type === 'video') {
-      // Gif/video
-      let vidurl = null;
-      for (const vid of variants) {
-        // Find the best video
-        if (vid.content_type === 'video/mp4' && vid.bit_rate < 1000000) {
-          const paramIdx = vid.url.lastIndexOf('?');
-          const hasParam = paramIdx !== -1 && paramIdx > vid.url.lastIndexOf('/');
-          vidurl = hasParam ? vid.url.substring(0, paramIdx) : vid.url;
-        }
-      }
-      if (vidurl !== null) {
-        embed.video = { url: vidurl };
-      } else {
-        log('Found video tweet with no valid url');
-        log(vidinfo);
-      }
-      embed.color = colors.video;
-    } else {
-      // Image(s)
-      if (tweet.attachments.media_keys.length === 1) {
-        embed.image = { url: url };
-      } else {
-        files = tweet.attachments.media_keys.map(
-          ({media_key: mk}) => includes.media.find(m => mk === m.media_key).url
-        );
-      }
-      embed.color = colors.image;
-    }
+const getPoller = () => {
+  if (!poller) {
+    poller = new Poller(backgroundRequest, handleTweet);
   }
-  embed.description = txt;
-  return { embed: embed, files: files };
+  return poller;
 };
 
-// Takes a v2 tweet with tweet refs and creates embed(s) for posting.
-const embedTweets = async ({data: tweet, includes}) => {
-  const {
-    retweeted: retweet,
-    quoted: quote,
-    // Unused because unavailable for private accounts:
-    replied_to: reply,
-  } = tweet.referenced_tweets
-    && tweet.referenced_tweets.reduce((a, c) => {
-      // Referenced_tweets[].type is key
-      a[c.type] = includes && includes.tweets
-        // Find the actual tweet for the value
-        && includes.tweets.find(e => e.id === c.id);
-      return a;
-    }, {}) || {};
-  let current = null;
-  if (retweet) {
-    current = await createTweetEmbed(retweet, includes);
-    let author = includes && includes.users
-      && includes.users.find(u => u.id === tweet.author_id);
-    current.embed.author.name += ` [RT BY @${author.username}]`;
-  } else {
-    current = await createTweetEmbed(tweet, includes);
-    if (tweet.in_reply_to_user_id) {
-      let author = includes && includes.users
-        && includes.users.find(u => u.id === tweet.in_reply_to_user_id);
-      current.embed.author.name += ` [REPLY TO @${author.username}]`;
-    }
+const startPolling = (reason) => {
+  const p = getPoller();
+  if (!p.running || p.mode !== 'poll') {
+    log(`⚙️ ${reason}, falling back to polling timelines`);
   }
-  if (quote) {
-    const quoteEmbed = await createTweetEmbed(quote, includes);
-    quoteEmbed.embed.author.name = `[QUOTED] ${quoteEmbed.embed.author.name}`;
-    return [current, quoteEmbed];
-  }
-  return [current];
+  p.start();
 };
 
-// Takes a v1 tweet and formats it for posting.
-export const formatTweet = async (tweet, isQuoted) => {
-  const {
-    user,
-    full_text: fullText,
-    text,
-    extended_tweet: extendedTweet,
-    retweeted_status: retweetedStatus,
-  } = tweet;
-  let {
-    id_str: idStr,
-    extended_entities: extendedEntities,
-    entities,
-  } = tweet;
-  let txt = fullText || text;
-  // Extended_tweet is an API twitter uses for tweets over 140 characters.
-  if (extendedTweet) {
-    ({ extended_entities: extendedEntities, entities } = extendedTweet);
-    txt = extendedTweet.full_text || extendedTweet.text;
-  }
-  let targetScreenName = user.screen_name;
-  if (retweetedStatus) {
-    // Copy over media from retweets
-    extendedEntities = extendedEntities || retweetedStatus.extended_entities;
-    // Use the id_str if there's one
-    idStr = retweetedStatus.id_str || idStr;
-    targetScreenName = retweetedStatus.user.screen_name || targetScreenName;
-  }
-  let authorName = `${user.name} (@${user.screen_name})`;
-  if (isQuoted) {
-    authorName = `[QUOTED] ${authorName}`;
-  } else if (tweet.in_reply_to_screen_name) {
-    authorName = `${authorName} [REPLY TO @${tweet.in_reply_to_screen_name}]`;
-  }
-  const embed = {
-    url: `https://twitter.com/${targetScreenName}/status/${idStr}`,
-    author: {
-      name: authorName,
-      url: `https://twitter.com/${targetScreenName}/status/${idStr}`,
-    },
-    thumbnail: {
-      url: user.profile_image_url_https,
-    },
-    color: user.profile_link_color
-      ? parseInt(user.profile_link_color, 16)
-      : null,
-  };
-  // For any additional files
-  let files = null;
-  const isTextTweet = !hasMedia(tweet);
-  const { text: formattedText, metadata } = await formatTweetText(
-    txt,
-    entities,
-    isTextTweet,
-  );
-  txt = formattedText;
-  if (isTextTweet) {
-    // Text tweet
-    if (metadata.preview) {
-      embed.image = { url: metadata.preview };
-    }
-    embed.color = embed.color || colors.text;
-  } else if (
-    extendedEntities.media[0].type === 'animated_gif'
-    || extendedEntities.media[0].type === 'video'
-  ) {
-    // Gif/video.
-    const vidinfo = extendedEntities.media[0].video_info;
-    let vidurl = null;
-    let bitrate = null;
-    for (let i = 0; i < vidinfo.variants.length; i += 1) {
-      const vid = vidinfo.variants[i];
-      // Find the best video
-      if (vid.content_type === 'video/mp4' && vid.bitrate < 1000000) {
-        const paramIdx = vid.url.lastIndexOf('?');
-        const hasParam = paramIdx !== -1 && paramIdx > vid.url.lastIndexOf('/');
-        vidurl = hasParam ? vid.url.substring(0, paramIdx) : vid.url;
-        bitrate = vid.bitrate;
-      }
-    }
-    if (vidurl !== null) {
-      if (vidinfo.duration_millis < 20000 || bitrate === 0) files = [vidurl];
-      else {
-        embed.image = { url: extendedEntities.media[0].media_url_https };
-        txt = `${txt}\n[Link to video](${vidurl})`;
-      }
-    } else {
-      log('Found video tweet with no valid url');
-      log(vidinfo);
-    }
-    embed.color = embed.color || colors.video;
-  } else {
-    // Image(s)
-    files = extendedEntities.media.map((media) => media.media_url_https);
-    if (files.length === 1) {
-      embed.image = { url: files[0] };
-      files = null;
-    }
-    embed.color = embed.color || colors.image;
-  }
-  embed.description = txt;
-  return { embed: { embeds: [embed], files }, metadata };
-};
+const hasFailedTooMuch = ({ failures }) => pollingFallbackErrors > 0
+  && failures >= pollingFallbackErrors;
 
-// Takes a tweet and determines whether or not it should be posted with these flags
-const flagsFilter = (flags, tweet) => {
-  if (isSet(flags, 'notext') && !hasMedia(tweet.data, tweet.includes)) {
-    return false;
+// Counts stream failures and starts polling if there's been too many in a row
+const streamFailed = (slot) => {
+  const failures = slot.failed();
+  if (hasFailedTooMuch(slot)) {
+    startPolling(`Stream #${slot.id} failed ${failures} times in a row`);
   }
-  if (!isSet(flags, 'retweets') && tweet.data.referenced_tweets?.some(t => t.type === 'retweeted')) return false;
-  if (isSet(flags, 'noquotes') && tweet.data.referenced_tweets?.some(t => t.type === 'quoted')) return false;
-  if (!isSet(flags, 'replies') && tweet.data.referenced_tweets?.some(t => t.type === 'replied_to'
-        && tweet.includes.tweets.find(i => i.id === t.id).author_id !== tweet.data.author_id)) return false;
-  return true;
 };
 
-export const getFilteredSubs = async (tweet) => {
-  // Ignore invalid tweets
-  if (!isValid(tweet)) return [];
-  // Ignore tweets from people we don't follow
-  // and replies unless they're replies to oneself (threads)
-  const subs = await getUserSubs(tweet.data.author_id);
-  if (
-    !subs
-    || subs.length === 0
-  ) return [];
-
-  const targetSubs = [];
-  for (let i = 0; i < subs.length; i += 1) {
-    const {
-      flags, channelId, isDM, msg,
-    } = subs[i];
-    if (isDM) log(`Should we post ${tweet.data.id} in channel ${channelId}?`, null, true);
-    if (flagsFilter(flags, tweet)) {
-      if (isDM) log(`Added (${channelId}, ${isDM}) to targetSubs.`, null, true);
-      targetSubs.push({ flags, qChannel: { channelId, isDM }, msg });
-    }
-  }
-  return targetSubs;
+// Try creating the streams again after this delay
+const scheduleReconnection = (slot, delay) => {
+  // eslint-disable-next-line no-use-before-define
+  slot.scheduleReconnection(delay, () => createStream());
 };
 
 // Called on stream connection
 // Reset our reconnection delay
-const streamStart = () => {
-  log('✅ Stream successfully started');
-  reconnectionDelay.reset();
+const streamStart = (slot) => {
+  log(`✅ Stream #${slot.id} successfully started`);
+  slot.started();
+  // Post whatever this stream's users tweeted while it was disconnected, this also stops polling.
+  // If another stream is still failing, polling has us covered.
+  if (!streams.some(hasFailedTooMuch)) {
+    getPoller().backfill(slot.userIds);
+  }
 };
 
 // Called when we receive data
 const streamData = async (tweet) => {
   log(`✅ Received new data: ${JSON.stringify(tweet)}`, null, true);
-  const subs = await getFilteredSubs(tweet);
-  if (subs.length === 0) {
-    log('✅ Discarded a tweet', null, true);
-    return;
-  }
-  log(`✅ Received valid tweet: ${tweet.data.id}, forwarding to ${subs.length} Discord subscriptions`, null, true);
-  const [main, quote] = await embedTweets(tweet);
-  subs.forEach(({ flags, qChannel, msg }) => {
-    let embed = { embeds: [main.embed], files: main.files };
-    if (msg) {
-      embed.content = msg;
-    }
-    if (quote && !isSet(flags, 'noquotes')) {
-      embed.embeds.push(quote.embed);
-      Array.prototype.push.apply(embed.files, quote.files);
-      if (main.embed.image?.url === quote.embed.image?.url) {
-        embed.embeds[0] = structuredClone(main.embed);
-        embed.embeds[0].photo = null;
-      }
-    }
-    post(qChannel, embed, 'embed');
-  });
-  updateUser(tweet.includes.users.find(u => u.id === tweet.data.author_id));
+  return handleTweet(tweet);
 };
 
 // Called when twitter ends the connection
-const streamEnd = () => {
+const streamEnd = (slot) => {
   // The backup exponential algorithm will take care of reconnecting
-  destroyStream();
+  slot.disconnect();
+  const { reconnectionDelay } = slot;
   log(
-    `❌ We got disconnected from twitter. Reconnecting in ${reconnectionDelay.value()}ms...`,
+    `❌ Stream #${slot.id} got disconnected from twitter. Reconnecting in ${reconnectionDelay.value()}ms...`,
   );
-  if (reconnectionTimeoutID) {
-    clearTimeout(reconnectionTimeoutID);
-  }
-  // eslint-disable-next-line no-use-before-define
-  reconnectionTimeoutID = setTimeout(createStreamClearTimeout, reconnectionDelay.value());
+  scheduleReconnection(slot, reconnectionDelay.value());
   reconnectionDelay.increment();
+  streamFailed(slot);
 };
 
 // Called when the stream has an error
-const streamError = ({ type, error: { type: innerType, code, data: { detail } }, message }) => {
+const streamError = (slot, {
+  type, error: { type: innerType, code, data: { detail } }, message,
+}) => {
   if (type === 'connect error' && innerType === ETwitterApiError.Response && code === 420) {
     log('⚙️ 420 status code detected, exiting cleanly to reboot bot', null, false);
     process.exit();
   }
   // We simply can't get a stream, don't retry
-  stream.disconnected(false);
+  slot.disconnect(false);
+  const { reconnectionDelay } = slot;
   const delay = reconnectionDelay.value();
-  if (reconnectionTimeoutID) {
-    clearTimeout(reconnectionTimeoutID);
-  } else {
+  if (!slot.reconnectionTimeoutID) {
     reconnectionDelay.increment();
   }
   if (innerType === ETwitterApiError.Response) {
     log(
-      `❌ Twitter Error ${code}: ${detail} Reconnecting in ${delay}ms`,
+      `❌ Twitter Error ${code} on stream #${slot.id}: ${detail} Reconnecting in ${delay}ms`,
     );
   } else {
-    log({ type: type, innerType: innerType, code: code, detail: detail, message: message });
+    log({
+      stream: slot.id, type, innerType, code, detail, message,
+    });
   }
-  // eslint-disable-next-line no-use-before-define
-  reconnectionTimeoutID = setTimeout(createStreamClearTimeout, delay);
+  scheduleReconnection(slot, delay);
+  streamFailed(slot);
+};
+
+const makeStreamSlot = (client, idx) => new StreamSlot(client, idx + 1, {
+  onStart: streamStart,
+  onData: streamData,
+  onError: streamError,
+  onEnd: streamEnd,
+});
+
+// Splits queries between our streams, each takes one of the stream's rules.
+// Queries stay on the stream that already has a rule for them,
+// new queries go to the stream with the fewest.
+const assignQueries = (queries) => {
+  const owners = new Map();
+  streams.forEach((slot) => slot.stream.rules.forEach(({ tag }) => {
+    if (tagQueryId(tag) && !owners.has(tag)) owners.set(tag, slot);
+  }));
+  const assigned = new Map(streams.map((slot) => [slot, []]));
+  const newQueries = [];
+  queries.forEach((query) => {
+    const owner = owners.get(queryTag(query.queryId));
+    if (owner && assigned.get(owner).length < maxRules) {
+      assigned.get(owner).push(query);
+    } else {
+      newQueries.push(query);
+    }
+  });
+  let dropped = 0;
+  newQueries.forEach((query) => {
+    const emptiest = streams.reduce((best, slot) => (
+      assigned.get(slot).length < assigned.get(best).length ? slot : best
+    ));
+    if (assigned.get(emptiest).length < maxRules) {
+      assigned.get(emptiest).push(query);
+    } else {
+      dropped += 1;
+    }
+  });
+  if (dropped > 0) {
+    log(`❌ Can't follow ${dropped} search queries: every stream rule we have is taken.`);
+  }
+  assigned.forEach((list, slot) => slot.followQueries(list));
+};
+
+// Splits users between our streams, in the rules their queries left.
+// Users stay on the stream that already has a rule for them,
+// new users go to the stream with the most room.
+const assignUsers = (userIds) => {
+  const capacity = (slot) => userCapacity(maxRules - slot.queries.length);
+  const owners = new Map();
+  streams.forEach((slot) => slot.stream.rules.forEach(({ value, tag }) => {
+    if (tag) return;
+    (ruleUserIds(value) || []).forEach((id) => {
+      if (!owners.has(id)) owners.set(id, slot);
+    });
+  }));
+  const assigned = new Map(streams.map((slot) => [slot, []]));
+  const newUsers = [];
+  userIds.forEach((id) => {
+    const owner = owners.get(id);
+    if (owner && assigned.get(owner).length < capacity(owner)) {
+      assigned.get(owner).push(id);
+    } else {
+      newUsers.push(id);
+    }
+  });
+  const room = (slot) => capacity(slot) - assigned.get(slot).length;
+  newUsers.forEach((id) => {
+    const emptiest = streams.reduce((best, slot) => (room(slot) > room(best) ? slot : best));
+    assigned.get(emptiest).push(id);
+  });
+  assigned.forEach((ids, slot) => slot.followUsers(ids));
 };
 
+// Returns what our streams are up to, for the bot owner
+export const getStreamsStatus = () => ({
+  streams: (streams || []).map(({
+    id, stream, userIds, queries, connected, reconnectionTimeoutID, reconnectionDelay,
+  }) => {
+    let state = 'disconnected';
+    if (connected) state = 'connected';
+    else if (reconnectionTimeoutID) state = 'reconnecting';
+    return {
+      id,
+      state,
+      users: userIds.length,
+      queries: queries.length,
+      rules: stream.rules ? stream.rules.size : 0,
+      reconnectDelay: reconnectionDelay.value(),
+    };
+  }),
+  polling: poller && poller.running ? poller.mode : null,
+  capacity: usersCapacity(
+    (streams || []).reduce((count, { queries }) => count + queries.length, 0),
+  ),
+  quotas: getQuotas(),
+});
+
 export const getError = (response) => {
   if (!response || !response.errors || response.errors.length < 1) return { code: null, msg: null };
   return response.errors[0];
 };
 
-// Register the stream with twitter, unregistering the previous stream if there was one
-// Uses the users variable
+// Register the streams with twitter, splitting our users and queries between them
 export const createStream = async () => {
-  if (reconnectionTimeoutID) {
-    log('Got a new stream request but we\'re already waiting for a reconnection...');
-    return null;
+  if (!streams) {
+    try {
+      const clients = await getClients();
+      // We might have been called again while logging in
+      if (!streams) streams = clients.map(makeStreamSlot);
+    } catch (e) {
+      log('❌ Couldn\'t log into Twitter:');
+      log(e.data || e);
+      return null;
+    }
   }
-  if (!stream) {
-    stream = new Stream(
-      tClient2,
-      streamStart,
-      streamData,
-      streamError,
-      streamEnd,
-    );
+  // Get all the user IDs and queries
+  const [userIds, queries] = await Promise.all([getUserIds(), getQueries()]);
+  // If there are none, we can just leave the streams empty
+  if ((!userIds || userIds.length < 1) && queries.length < 1) {
+    log('No user IDs or queries, no need to create a stream...');
+    return null;
   }
-  // Get all the user IDs
-  const userIds = await getUserIds();
-  // If there are none, we can just leave stream at null
-  if (!userIds || userIds.length < 1) {
-    log('No user IDs, no need to create a stream...');
+  if (DISABLE_STREAMS) {
+    startPolling('ATTENTION: the DISABLE_STREAMS variable is set, meaning streams are currently not being created');
     return null;
   }
-  if (!DISABLE_STREAMS) {
-    stream.create(userIds.map(({ twitterId }) => twitterId));
-  } else {
-    log('ATTENTION: the DISABLE_STREAMS variable is set, meaning streams are currently not being created!');
+  try {
+    await Promise.all(streams.map(({ stream }) => (stream.rules ? null : stream.loadRules())));
+    assignQueries(queries);
+    assignUsers(userIds.map(({ twitterId }) => twitterId));
+  } catch (e) {
+    log('❌ Couldn\'t get our stream rules from Twitter:');
+    log(e.data || e);
+    return null;
   }
+  streams.forEach((slot) => {
+    if (slot.reconnectionTimeoutID) {
+      log(`Got a new stream request but stream #${slot.id} is already waiting for a reconnection...`);
+      return;
+    }
+    if (slot.userIds.length > 0 || slot.queries.length > 0) {
+      slot.stream.create(slot.userIds, slot.queries);
+    }
+  });
   return null;
 };
 
-const createStreamClearTimeout = () => {
-  reconnectionTimeoutID = null;
-  createStream();
-};
+export const userLookup = (params) => limited(
+  USER_APP, 'POST /1.1/users/lookup.json', PRIORITY_COMMAND, () => tClient.post('users/lookup', params),
+);
 
-export const userLookup = (params) => tClient.post('users/lookup', params);
+// Asks the shards to delete the messages of tweets that were deleted
+const deletionChecker = new DeletionChecker(backgroundRequest, ({
+  channelId, isDM, messageId, threadId,
+}) => post({ channelId, isDM }, { messageId, threadId }, 'delete'));
 
-export const userTimeline = (params) => tClient.get('statuses/user_timeline', params);
+export const startDeletionChecks = () => deletionChecker.start();
 
-export const showTweet = (id) => tClient.get(`statuses/show/${id}`, { tweet_mode: 'extended' });
+const deliveryQueue = new DeliveryQueue(post, ({ channelId, ownerId, tweetId }) => post(
+  { channelId: ownerId, isDM: true },
+  { trCode: 'deliveryFailed', channelId, tweetId: tweetId || 0 },
+  'translated',
+));
 
-// Small helper function to timeout in async
-const sleep = (timeout) => new Promise((resolve) => setTimeout(resolve, timeout));
+export const startDeliveries = () => deliveryQueue.start();
 
-export const usersSanityCheck = async (limit, cursor, timeout) => {
-  log(`⚙️ User sanity check: Checking users ${cursor * limit} to ${cursor * limit + limit}`);
-  const ids = (await getUsersForSanityCheck(limit, cursor)).map(({ twitterId }) => twitterId);
-  if (ids.length < 1) return 0;
-  // deleted is an array of booleans. True means the account was deleted
-  const deleted = await Promise.all(ids.map((id) => new Promise((resolve) => {
-    userLookup({ user_id: id }).then(() => {
-      resolve(false);
-    }).catch(() => {
-      resolve(true);
-    });
-  })));
-  const idsToDelete = ids.filter((id, idx) => deleted[idx]);
-  try {
-    const deletedUsers = idsToDelete.length > 0 ? await bulkDeleteUsers(idsToDelete) : 0;
-    log(`⚙️ User sanity check: ${cursor * limit} -> ${cursor * limit + limit}, removed ${deletedUsers} invalid users`);
-    if (ids.length < limit) return deletedUsers;
-    await sleep(timeout);
-    return deletedUsers + await usersSanityCheck(limit, cursor + 1, timeout);
-  } catch (e) {
-    console.error('Error during bulk deletion, sanity check aborted');
-    console.error(e);
-  }
-  return 0;
+export const acknowledgeDelivery = (delivery, code, posted) => (
+  deliveryQueue.acknowledge(delivery, code, posted)
+);
+
+const digestScheduler = new DigestScheduler((qChannel, digest) => deliveryQueue.enqueue(qChannel, null, digest, 'digest'));
+
+export const startDigests = () => digestScheduler.start();
+
+export const getUserByName = (username) => request(
+  'GET /2/users/by/username/:username', PRIORITY_COMMAND, (client) => client.v2.userByUsername(username),
+);
+
+export const getTimeline = (userId, params) => request(
+  'GET /2/users/:id/tweets', PRIORITY_COMMAND, (client) => client.v2.userTimeline(userId, {
+    ...tweetParams,
+    ...params,
+  }),
+);
+
+// Fetches the next page of a timeline we got from getTimeline
+export const getNextTimelinePage = (timeline) => request(
+  'GET /2/users/:id/tweets', PRIORITY_COMMAND, () => timeline.fetchNext(),
+);
+
+// Asks Twitter whether it would take this query as a stream rule, without adding it.
+// Returns why it wouldn't, or null if it would
+export const checkQueryRule = async (query) => {
+  const { errors = [] } = await request(
+    'POST /2/tweets/search/stream/rules',
+    PRIORITY_COMMAND,
+    (client) => client.v2.updateStreamRules({ add: [{ value: query }] }, { dry_run: true }),
+  );
+  const [error] = errors.filter(({ title }) => title !== 'DuplicateRule');
+  if (!error) return null;
+  return (error.details && error.details.join(' ')) || error.detail || error.title;
+};
+
+export const getTweet = (id) => request(
+  'GET /2/tweets/:id', PRIORITY_COMMAND, (client) => client.v2.singleTweet(id, tweetParams),
+);
+
+// Takes a v2 tweet and formats it into a message, quoted tweet included.
+// Returns null if the tweet can't be displayed.
+export const formatTweet = async (tweet, previews = true) => {
+  const model = fromV2(tweet);
+  if (!model) return null;
+  return tweetMessage(await embedTweet(model, previews), { previews });
 };
 
+// Removes Twitter users that are gone, telling their subscribers about it
+const userChecker = new UserChecker(
+  backgroundRequest,
+  (qChannel, { name, status }) => post(qChannel, { trCode: 'userRemoved', name, status }, 'translated'),
+  // eslint-disable-next-line no-use-before-define
+  () => createStream(),
+);
+
 // Makes sure everything is consistent
 export const sanityCheck = async () => {
   const allChannels = await getChannels();
@@ -661,20 +509,13 @@ export const sanityCheck = async () => {
     log(`Found invalid channel: ${c.channelId}`);
     return rmChannel(c.channelId);
   }));
-  const { channels, users, guilds } = await dbSanityCheck();
-  log(`✅ DB sanity check completed!\n${channels + deletedChannels.reduce((prev, del) => (del ? prev + del.channels : prev), 0)} channels, ${guilds} guilds, ${users} users removed.`);
+  const {
+    channels, users, queries, guilds, posts, deliveries,
+  } = await dbSanityCheck();
+  log(`✅ DB sanity check completed!\n${channels + deletedChannels.reduce((prev, del) => (del ? prev + del.channels : prev), 0)} channels, ${guilds} guilds, ${users} users, ${queries} queries, ${posts} posts, ${deliveries} dead deliveries removed.`);
 
   const disableSanityCheck = !!Number(process.env.DISABLE_SANITY_CHECK);
   if (!disableSanityCheck) {
-    log('⚙️ Starting users sanity check, this could take a while if you have lots of users. You can disable this in .env');
-    const limit = Number(process.env.USERS_BATCH_SIZE);
-    const timeout = Number(process.env.USERS_CHECK_TIMEOUT);
-    if (Number.isNaN(limit) || Number.isNaN(timeout)) {
-      log('❌ USERS_BATCH_SIZE or USERS_CHECK_TIMEOUT is not set to a valid number, sanity check aborted');
-      return;
-    }
-    const cursor = 0;
-    const deleted = await usersSanityCheck(limit, cursor, timeout * 3600);
-    log(`✅ Users sanity check completed! ${deleted} invalid users removed.`);
+    userChecker.start();
   }
 };
@@ -0,0 +1,68 @@
+// Where we reach Twitter's API, and how we log into it.
+// TWITTER_API_URL sends every request to another server instead, like the mock one in ./mockTwitter
+import { Agent } from 'http';
+import { TwitterApi } from 'twitter-api-v2';
+import Twitter from 'twitter-lite';
+import { endpointOf, recordRateLimit } from './rateLimits';
+
+const TWITTER_API_URL = 'https://api.twitter.com';
+// Newer versions of twitter-api-v2 call Twitter's API by its new name
+const TWITTER_API_URLS = [TWITTER_API_URL, 'https://api.x.com'];
+
+export const apiUrl = (process.env.TWITTER_API_URL || TWITTER_API_URL).replace(/\/+$/, '');
+
+const httpAgent = new Agent({ keepAlive: true });
+
+// Where a request to this URL should go instead
+const redirectedUrl = (url) => {
+  const twitterUrl = TWITTER_API_URLS.find((prefix) => url.startsWith(prefix));
+  return twitterUrl ? apiUrl + url.substring(twitterUrl.length) : url;
+};
+
+// twitter-api-v2 only knows Twitter's address, so we rewrite the URL of every request it makes.
+// Plugins can't return new params, they change the ones of the request.
+// Whatever they return is taken as the response instead
+const redirect = ({ params }) => {
+  Object.assign(params, { url: redirectedUrl(params.url) });
+};
+
+// Records the rate limits Twitter tells us about with each response
+const rateLimitPlugin = (app) => {
+  const record = ({ params, url, rateLimit }) => {
+    if (rateLimit) recordRateLimit(app, endpointOf(params.method, url), rateLimit);
+  };
+  return {
+    onAfterRequest: ({ response, ...args }) => record({ ...args, rateLimit: response.rateLimit }),
+    onResponseError: ({ error, ...args }) => record({ ...args, rateLimit: error.rateLimit }),
+  };
+};
+
+// The settings of the clients of an app, numbered like our streams
+const clientSettings = (app) => ({
+  plugins: [
+    { onBeforeRequestConfig: redirect, onBeforeStreamRequestConfig: redirect },
+    rateLimitPlugin(app),
+  ],
+  // twitter-api-v2 always goes through https, unless we hand it an http agent
+  ...(apiUrl.startsWith('http:') ? { httpAgent } : {}),
+});
+
+// Same as TwitterApi.appLogin, which can't be pointed at another server
+export const appLogin = async ({ appKey, appSecret }, app) => {
+  const basicClient = new TwitterApi(
+    { username: appKey, password: appSecret },
+    clientSettings(app),
+  );
+  const { access_token: accessToken } = await basicClient.post(`${apiUrl}/oauth2/token`, {
+    grant_type: 'client_credentials',
+  });
+  return new TwitterApi(accessToken, clientSettings(app));
+};
+
+// A v1.1 client with user authentication.
+// Its rate limits are recorded by ./rateLimits when requests go through it
+export const v1Client = (options) => {
+  const client = new Twitter(options);
+  client.url = `${apiUrl}/1.1`;
+  return client;
+};
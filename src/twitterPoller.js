@@ -0,0 +1,184 @@
+import log from './log';
+import { tweetParams } from './twitterStream';
+import { getUserIds, setLastTweetId } from './db/user';
+
+// Smallest delay between two timeline requests, in ms
+const minDelay = (Number(process.env.POLLING_MIN_DELAY) || 1) * 1000;
+// Delay before retrying when something went wrong or there's no one to poll
+const idleDelay = 1000 * 60;
+// How far back we go when backfilling, in ms
+const backfillMaxAge = (Number(process.env.BACKFILL_MAX_AGE) || 0) * 1000;
+// Twitter's epoch, tweet IDs contain their creation time relative to it
+const twitterEpoch = 1288834974657;
+
+// The creation time is everything above the ID's lowest 22 bits.
+// IDs don't fit in a double, the bits we lose put us a millisecond off at most.
+export const tweetTimestamp = (id) => Math.floor(Number(id) / 2 ** 22) + twitterEpoch;
+
+// Computes how long to wait before the next request so we spread
+// the remaining requests evenly until the rate limit resets
+const rateLimitDelay = (rateLimit) => {
+  if (!rateLimit || !rateLimit.reset) return minDelay;
+  const untilReset = rateLimit.reset * 1000 - Date.now();
+  if (untilReset <= 0) return minDelay;
+  if (rateLimit.remaining <= 0) return untilReset;
+  return Math.max(minDelay, Math.ceil(untilReset / rateLimit.remaining));
+};
+
+// Walks through every followed user's timeline, one user at a time.
+// In 'poll' mode this is the fallback for when we can't get a filtered stream, and loops forever.
+// In 'backfill' mode we go through some users once,
+// to post what we missed while their stream was disconnected.
+class Poller {
+  // request(endpoint, fn) calls fn with our client once the endpoint's rate limit allows it
+  constructor(request, pollData) {
+    this.request = request;
+    this.pollData = pollData;
+    this.queue = [];
+    // Users waiting to be backfilled, we look up where they're at once their turn comes
+    this.backfillIds = new Set();
+    this.timeout = null;
+    this.running = false;
+    this.mode = 'poll';
+    // Bumped by stop(), a loop that sees it changed was stopped while it was waiting on something
+    this.run = 0;
+  }
+
+  start() {
+    if (this.running && this.mode === 'poll') return;
+    log('⚙️ Starting to poll user timelines');
+    this.mode = 'poll';
+    // Polling goes through everyone anyway
+    this.backfillIds = new Set();
+    if (this.running) return;
+    this.running = true;
+    this.next();
+  }
+
+  // Users added while a backfill is running join it instead of starting it over
+  backfill(twitterIds) {
+    if (this.running && this.mode === 'backfill') {
+      twitterIds.forEach((id) => this.backfillIds.add(id));
+      return;
+    }
+    this.stop();
+    if (!backfillMaxAge) return;
+    log('⚙️ Backfilling tweets we missed while disconnected');
+    this.mode = 'backfill';
+    this.running = true;
+    this.backfillIds = new Set(twitterIds);
+    this.next();
+  }
+
+  stop() {
+    this.run += 1;
+    if (!this.running) return;
+    log(`⚙️ Stopped ${this.mode === 'poll' ? 'polling user timelines' : 'backfilling tweets'}`);
+    this.running = false;
+    this.queue = [];
+    this.backfillIds = new Set();
+    if (this.timeout) {
+      clearTimeout(this.timeout);
+      this.timeout = null;
+    }
+  }
+
+  // Gets this user's tweets since sinceId, oldest first.
+  // Timelines come 100 tweets at a time from newest to oldest,
+  // we go through pages until we reach sinceId or until we get to tweets too old to backfill.
+  async fetchTimeline(twitterId, sinceId) {
+    const oldest = this.mode === 'backfill' ? Date.now() - backfillMaxAge : 0;
+    const tweets = [];
+    let rateLimit = null;
+    let paginationToken = null;
+    do {
+      const token = paginationToken;
+      // Pages have to be fetched one after the other
+      // eslint-disable-next-line no-await-in-loop
+      const timeline = await this.request('GET /2/users/:id/tweets', (client) => client.v2.userTimeline(twitterId, {
+        ...tweetParams,
+        // Without a since_id we only want to know the latest tweet
+        max_results: sinceId ? 100 : 5,
+        ...(sinceId ? { since_id: sinceId } : {}),
+        ...(token ? { pagination_token: token } : {}),
+      }));
+      const { data: { data: page = [], includes = {}, meta = {} } } = timeline;
+      const recent = page.filter(({ id }) => tweetTimestamp(id) >= oldest);
+      tweets.push(...recent.map((tweet) => ({ data: tweet, includes })));
+      ({ rateLimit } = timeline);
+      paginationToken = sinceId && recent.length === page.length ? meta.next_token : null;
+    } while (paginationToken);
+    return { tweets: tweets.reverse(), rateLimit };
+  }
+
+  // Posts whatever this user tweeted since last time and remembers their latest tweet.
+  // Returns the rate limit info for the timeline endpoint.
+  async pollUser({ twitterId, lastTweetId }) {
+    const { tweets, rateLimit } = await this.fetchTimeline(twitterId, lastTweetId);
+    if (tweets.length === 0) return rateLimit;
+    // The first time we see a user we don't post anything, we'd be posting old tweets
+    if (lastTweetId) {
+      log(`⚙️ ${this.mode === 'poll' ? 'Polling' : 'Backfill'} found ${tweets.length} new tweet(s) from ${twitterId}`, null, true);
+      for (let i = 0; i < tweets.length; i += 1) {
+        // Tweets need to be posted in order
+        // eslint-disable-next-line no-await-in-loop
+        await this.pollData(tweets[i]);
+      }
+    }
+    await setLastTweetId(twitterId, tweets[tweets.length - 1].data.id);
+    return rateLimit;
+  }
+
+  // Loads the users we go through next, or returns null once a backfill is done
+  async loadQueue() {
+    if (this.mode === 'poll') return getUserIds();
+    if (this.backfillIds.size === 0) return null;
+    const ids = this.backfillIds;
+    this.backfillIds = new Set();
+    // We can't know what we missed from users we've never seen tweet
+    return (await getUserIds())
+      .filter(({ twitterId, lastTweetId }) => ids.has(twitterId) && !!lastTweetId);
+  }
+
+  // Nothing is left of this loop once stop() was called,
+  // even if it was called while we were waiting
+  async next() {
+    this.timeout = null;
+    if (!this.running) return;
+    const { run } = this;
+    let delay = minDelay;
+    try {
+      if (this.queue.length === 0) {
+        const queue = await this.loadQueue();
+        if (run !== this.run) return;
+        if (!queue) {
+          log('✅ Backfill completed');
+          this.running = false;
+          return;
+        }
+        this.queue = queue;
+      }
+      const user = this.queue.shift();
+      if (user) {
+        const rateLimit = await this.pollUser(user);
+        if (run !== this.run) return;
+        delay = rateLimitDelay(rateLimit);
+      } else {
+        delay = this.mode === 'backfill' ? 0 : idleDelay;
+      }
+    } catch (e) {
+      if (run !== this.run) return;
+      if (e.rateLimitError && e.rateLimit) {
+        delay = rateLimitDelay({ ...e.rateLimit, remaining: 0 });
+        log(`⚙️ Timeline requests hit the rate limit, resuming in ${delay}ms`);
+      } else {
+        delay = idleDelay;
+        log('❌ Error while fetching user timelines:');
+        log(e);
+      }
+    }
+    this.timeout = setTimeout(() => this.next(), delay);
+  }
+}
+
+export default Poller;
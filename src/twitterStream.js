@@ -1,48 +1,142 @@
+import { ETwitterStreamEvent } from 'twitter-api-v2';
 import log from './log';
-import { ETwitterStreamEvent, TweetStream, ETwitterApiError } from 'twitter-api-v2';
+import {
+  diffQueryRules, diffRules, maxRules, tagQueryId,
+} from './streamRules';
+import { limited, PRIORITY_STREAM } from './rateLimits';
 
 // Idle delay
 const shortDelay = 1000 * 60 * 15;
 // Long delay, when we just created a stream, we put this in before we create the next one
 const longDelay = 1000 * 60 * 45;
-// Destroying delay, delay between stream destruction and stream re-creation
-const destroyDelay = 1000 * 30;
+
+// Fields and expansions we ask Twitter for, shared with timeline requests
+// so every tweet we post has the same shape
+export const tweetParams = {
+  'tweet.fields': ['referenced_tweets', 'in_reply_to_user_id', 'author_id', 'attachments', 'entities', 'possibly_sensitive'],
+  'user.fields': ['profile_image_url'],
+  'media.fields': ['url', 'duration_ms', 'preview_image_url', 'variants', 'alt_text'],
+  'poll.fields': ['options', 'end_datetime', 'voting_status'],
+  expansions: ['referenced_tweets.id', 'author_id', 'referenced_tweets.id.author_id', 'in_reply_to_user_id', 'attachments.media_keys', 'attachments.poll_ids'],
+};
 
 // Manages stream creation and makes a queue for creation so we don't spam twitter with requests
 class Stream {
-  constructor(tClient, streamStart, streamData, streamError, streamEnd) {
+  constructor(tClient, streamStart, streamData, streamError, streamEnd, id = 1) {
+    // Which of our streams this is, for logging
+    this.id = id;
     this.stream = null;
     this.userIds = [];
+    // The search queries this stream follows, as { queryId, query }
+    this.queries = [];
     this.newUserIds = false;
+    // Our stream rules as { value, tag }, by rule ID. null until we've asked Twitter for them
+    this.rules = null;
     this.tClient = tClient;
     this.streamStart = streamStart;
     this.streamData = streamData;
     this.streamError = streamError;
     this.streamEnd = streamEnd;
+    // Timestamps of the connection, last tweet and keep-alive we got,
+    // used to detect stalled streams
+    this.connectedAt = null;
+    this.lastData = null;
+    this.lastKeepAlive = null;
+  }
+
+  // Returns when we last heard from Twitter on this stream, in ms
+  lastActivity() {
+    return Math.max(this.lastData || 0, this.lastKeepAlive || 0, this.connectedAt || 0);
+  }
+
+  // Each stream has its own app, numbered like the streams
+  rulesRequest(method, fn) {
+    return limited(this.id, `${method} /2/tweets/search/stream/rules`, PRIORITY_STREAM, () => fn(this.tClient));
+  }
+
+  // Fetches our rules from Twitter and remembers them by ID
+  async loadRules() {
+    const { data = [] } = await this.rulesRequest('GET', (client) => client.v2.streamRules());
+    this.rules = new Map(data.map(({ id, value, tag }) => [id, { value, tag }]));
+    return this.rules;
+  }
+
+  // Takes the rules to add as { value, tag }, tag can be left out
+  async addRules(rules) {
+    if (rules.length === 0) return;
+    const res = await this.rulesRequest('POST', (client) => client.v2.updateStreamRules({
+      add: rules,
+    }));
+    (res.data || []).forEach(({ id, value, tag }) => this.rules.set(id, { value, tag }));
+    (res.errors || []).forEach(({
+      id, value, title, detail,
+    }) => {
+      // Twitter gives us the ID of rules we already had
+      if (title === 'DuplicateRule' && id) {
+        const { tag } = rules.find((rule) => rule.value === value) || {};
+        this.rules.set(id, { value, tag });
+        return;
+      }
+      log(`❌ Twitter refused a stream rule (${title}): ${detail || value}`);
+    });
+  }
+
+  async deleteRules(ids) {
+    if (ids.length === 0) return;
+    const res = await this.rulesRequest('POST', (client) => client.v2.updateStreamRules({
+      delete: { ids },
+    }));
+    (res.errors || []).forEach(({ title, detail }) => {
+      log(`❌ Twitter couldn't delete a stream rule (${title}): ${detail}`);
+    });
+    ids.forEach((id) => this.rules.delete(id));
   }
 
-  async checkNewUsers(anyRules) {
-    if (this.newUserIds === true || anyRules) {
+  // Adds and deletes rules so we follow exactly this.userIds and this.queries,
+  // touching as few rules as we can.
+  // Queries take a rule each, users share what's left.
+  async updateRules() {
+    if (!this.rules) {
+      await this.loadRules();
+    }
+    const current = [...this.rules].map(([id, rule]) => ({ id, ...rule }));
+    const queryDiff = diffQueryRules(current.filter(({ tag }) => tagQueryId(tag)), this.queries);
+    const userDiff = diffRules(
+      current.filter(({ tag }) => !tagQueryId(tag)),
+      this.userIds,
+      maxRules - this.queries.length,
+    );
+    if (userDiff.dropped.length > 0) {
+      log(`❌ Can't follow ${userDiff.dropped.length} user(s): this would take more than the ${maxRules} stream rules Twitter allows us. If your access level allows more rules, set TWITTER_MAX_RULES.`);
+    }
+    const add = userDiff.add.map((value) => ({ value })).concat(queryDiff.add);
+    const toDelete = userDiff.delete.concat(queryDiff.delete);
+    if (add.length === 0 && toDelete.length === 0) {
+      log(`⚙️ Rules of stream #${this.id} are up to date`, null, true);
+      return;
+    }
+    log(`⚙️ Updating rules of stream #${this.id}: adding ${add.length}, deleting ${toDelete.length}, keeping ${this.rules.size - toDelete.length}`);
+    // Add rules before deleting the old ones so we never miss a tweet,
+    // unless we can't go over the rules cap even for a moment
+    if (this.rules.size + add.length > maxRules) {
+      await this.deleteRules(toDelete);
+      await this.addRules(add);
+    } else {
+      await this.addRules(add);
+      await this.deleteRules(toDelete);
+    }
+  }
+
+  async checkNewUsers(force = false) {
+    if (this.newUserIds === true || force) {
       log('⚙️ New users found!', null, true);
       this.newUserIds = false;
-      if (!anyRules) {
-        anyRules = await this.tClient.v2.streamRules();
-      }
-      if (anyRules.data?.length) {
-        this.tClient.v2.updateStreamRules({
-          delete: { ids: anyRules.data.map(r => r.id) }
-        });
+      try {
+        await this.updateRules();
+      } catch (e) {
+        log('❌ Couldn\'t update stream rules:');
+        log(e.data || e);
       }
-      await this.tClient.v2.updateStreamRules({
-        add: this.userIds.reduce((arr, id) => {
-          if (!arr.length || arr[0].value.length + id.toString().length + 9 > 512) {
-            arr.unshift({value:`from:${id}`});
-          } else {
-            arr[0].value += ` OR from:${id}`;
-          }
-          return arr;
-        }, [])
-      });
       if (!this.stream) {
         this.doCreate();
       }
@@ -56,39 +150,48 @@ class Stream {
   }
 
   async doCreate() {
-    log(`⚙️ Creating a stream with ${this.userIds.length} registered users`);
+    log(`⚙️ Creating stream #${this.id} with ${this.userIds.length} registered users and ${this.queries.length} queries`);
     this.stream = this.tClient.v2.searchStream({
-        autoConnect: false,
-        'tweet.fields': ['referenced_tweets','in_reply_to_user_id','author_id,attachments,entities'],
-        'user.fields': ['profile_image_url'],
-        'media.fields': ['url','duration_ms','preview_image_url','variants'],
-        expansions: ['referenced_tweets.id','author_id','referenced_tweets.id.author_id','attachments.media_keys'],
-      });
-    this.stream.on(ETwitterStreamEvent.Connected, this.streamStart);
+      autoConnect: false,
+      ...tweetParams,
+    });
+    this.stream.on(ETwitterStreamEvent.Connected, () => {
+      this.connectedAt = Date.now();
+      this.streamStart();
+    });
     this.stream.on(ETwitterStreamEvent.Error, this.streamError);
     this.stream.on(ETwitterStreamEvent.ConnectionClosed, this.streamEnd);
-    this.stream.on(ETwitterStreamEvent.Data, this.streamData);
+    this.stream.on(ETwitterStreamEvent.Data, (tweet) => {
+      this.lastData = Date.now();
+      this.streamData(tweet);
+    });
+    this.stream.on(ETwitterStreamEvent.DataKeepAlive, () => {
+      this.lastKeepAlive = Date.now();
+    });
 
     try {
       await this.stream.connect();
-    } catch(e) { }
+    } catch (e) {
+      // Connection errors also come as an ETwitterStreamEvent.Error, streamError takes care of them
+    }
   }
 
-  async create(userIds) {
-    const originalUserIdCount = this.userIds.length;
+  async create(userIds, queries = []) {
+    const wasEmpty = this.userIds.length === 0 && this.queries.length === 0;
     this.userIds = userIds;
-    if (originalUserIdCount === 0 && !this.stream) {
-      let rules = await this.tClient.v2.streamRules();
-      if (rules.data?.length) {
+    this.queries = queries;
+    if (wasEmpty && !this.stream) {
+      const rules = await this.loadRules();
+      if (rules.size) {
         this.doCreate();
-        
+
         log(`⚙️ Scheduling next user check in ${longDelay}ms`, null, true);
         this.timeout = setTimeout(() => {
           this.timeout = null;
           this.checkNewUsers();
         }, longDelay);
       } else {
-        this.checkNewUsers(rules);
+        this.checkNewUsers(true);
       }
     } else {
       this.newUserIds = true;
@@ -99,7 +202,7 @@ class Stream {
   // effectively resetting the object until next creation
   // If destroyStream is not set, there's no need to destroy it as it's already destroyed
   disconnected(destroyStream = true) {
-    log('Disconnecting stream');
+    log(`Disconnecting stream #${this.id}`);
     if (this.stream && this.stream.destroy && destroyStream) {
       log('Destroying stream');
       try {
@@ -113,7 +216,11 @@ class Stream {
     }
     this.stream = null;
     this.userIds = [];
+    this.queries = [];
     this.newUserIds = false;
+    this.connectedAt = null;
+    this.lastData = null;
+    this.lastKeepAlive = null;
     if (this.timeout) {
       clearTimeout(this.timeout);
       this.timeout = null;
@@ -0,0 +1,200 @@
+// Looks up link previews for the urls in tweets.
+// Lookups are cached, time out, run a few at a time and only reach the domains we allow,
+// so a slow or hostile site can't hold up delivery.
+// They never reach private or loopback addresses,
+// so a tweet can't make us fetch from our own network.
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import { unfurl } from 'unfurl.js';
+import log from './log';
+
+// How long we remember a lookup, in ms
+const cacheTTL = (Number(process.env.UNFURL_CACHE_TTL) || 3600) * 1000;
+// How many lookups we remember at most
+const CACHE_MAX_SIZE = 1000;
+// How long a single lookup can take, in ms
+const lookupTimeout = Number(process.env.UNFURL_TIMEOUT) || 5000;
+// How many lookups can run at the same time
+const maxConcurrency = Number(process.env.UNFURL_CONCURRENCY) || 5;
+// Biggest page we'll download, in bytes
+const MAX_PAGE_SIZE = 1024 * 1024;
+// Longest image url we'll accept
+const MAX_URL_LENGTH = 2048;
+// Most redirects we'll follow for a lookup
+const MAX_REDIRECTS = 5;
+
+const domainList = (str) => (str || '').split(' ').filter((d) => !!d).map((d) => d.toLowerCase());
+// If set, only these domains get looked up
+const allowedDomains = domainList(process.env.UNFURL_ALLOWED_DOMAINS);
+// These domains never get looked up
+const blockedDomains = domainList(process.env.UNFURL_BLOCKED_DOMAINS);
+
+// Promises of lookup results by url, along with when they expire
+const cache = new Map();
+let running = 0;
+const waiting = [];
+
+// Addresses that aren't on the public internet
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([prefix, bits]) => privateRanges.addSubnet(prefix, bits, 'ipv4'));
+// The IPv4 ranges also cover IPv4-mapped IPv6 addresses, like ::ffff:127.0.0.1
+[
+  ['::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([prefix, bits]) => privateRanges.addSubnet(prefix, bits, 'ipv6'));
+privateRanges.addAddress('::1', 'ipv6');
+
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return privateRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Resolves hostnames like dns.lookup, but fails for private addresses.
+// Sockets use it when connecting, so it applies to the address we actually connect to.
+const publicLookup = (hostname, options, callback) => dns.lookup(
+  hostname,
+  options,
+  (err, address, family) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked) {
+      callback(new Error(`${hostname} resolves to private address ${blocked.address}`));
+      return;
+    }
+    callback(null, address, family);
+  },
+);
+
+const agents = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup }),
+};
+
+// Subdomains match their parent domain
+const matchesDomain = (hostname, domains) => domains.some(
+  (domain) => hostname === domain || hostname.endsWith(`.${domain}`),
+);
+
+export const isAllowedUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+  const hostname = parsed.hostname.toLowerCase();
+  // Addresses don't go through DNS, we check them here
+  if (isPrivateAddress(hostname.replace(/^\[(.*)\]$/, '$1'))) return false;
+  if (matchesDomain(hostname, blockedDomains)) return false;
+  return allowedDomains.length === 0 || matchesDomain(hostname, allowedDomains);
+};
+
+// Only keeps absolute http(s) image urls from a page's metadata
+const sanitizeImages = (images) => (Array.isArray(images) ? images : [])
+  .map((image) => (image && typeof image.url === 'string' ? image.url.trim() : null))
+  .filter((url) => !!url && url.length <= MAX_URL_LENGTH)
+  .map((url) => (url.startsWith('//') ? `https:${url}` : url))
+  .filter((url) => {
+    try {
+      const { protocol, hostname } = new URL(url);
+      // Ignore if there's no dot
+      return (protocol === 'http:' || protocol === 'https:') && hostname.includes('.');
+    } catch (e) {
+      return false;
+    }
+  });
+
+// The only part of a page's metadata we use: its images, Twitter card first
+const sanitize = (metadata) => ({
+  images: sanitizeImages(metadata && metadata.twitter_card && metadata.twitter_card.images)
+    .concat(sanitizeImages(metadata && metadata.open_graph && metadata.open_graph.images)),
+});
+
+const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+  const timeout = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  promise.then((res) => {
+    clearTimeout(timeout);
+    resolve(res);
+  }, (err) => {
+    clearTimeout(timeout);
+    reject(err);
+  });
+});
+
+// Fetches pages for unfurl.js. We follow redirects ourselves,
+// so wherever they go has to be allowed too
+const fetchPage = async (url, redirects = 0) => {
+  if (!isAllowedUrl(url)) throw new Error(`Refusing to fetch ${url}`);
+  const res = await fetch(url, {
+    headers: {
+      Accept: 'text/html, application/xhtml+xml',
+      'User-Agent': 'facebookexternalhit',
+    },
+    redirect: 'manual',
+    size: MAX_PAGE_SIZE,
+    timeout: lookupTimeout,
+    agent: ({ protocol }) => agents[protocol],
+  });
+  const location = res.headers.get('location');
+  if (res.status >= 300 && res.status < 400 && location) {
+    if (redirects >= MAX_REDIRECTS) throw new Error(`Too many redirects from ${url}`);
+    return fetchPage(new URL(location, url).href, redirects + 1);
+  }
+  return res;
+};
+
+// Runs lookups in order, never more than maxConcurrency at once
+const nextLookup = () => {
+  if (running >= maxConcurrency || waiting.length === 0) return;
+  const { url, resolve } = waiting.shift();
+  running += 1;
+  // We only use the Twitter card and Open Graph images, no need to fetch oEmbed
+  withTimeout(unfurl(url, { fetch: fetchPage, oembed: false }), lookupTimeout)
+    .then(sanitize, (e) => {
+      log(`Couldn't unfurl ${url}: ${e.message}`, null, true);
+      return null;
+    })
+    .then((res) => {
+      running -= 1;
+      resolve(res);
+      nextLookup();
+    });
+};
+
+const queueLookup = (url) => new Promise((resolve) => {
+  waiting.push({ url, resolve });
+  nextLookup();
+});
+
+const pruneCache = () => {
+  const now = Date.now();
+  cache.forEach(({ expires }, url) => {
+    if (expires <= now) cache.delete(url);
+  });
+  // Maps keep insertion order, the first entries are the oldest
+  while (cache.size >= CACHE_MAX_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+};
+
+// Returns { images: [url] } for this url, or null if we couldn't or wouldn't look it up
+export default (url) => {
+  if (!isAllowedUrl(url)) return Promise.resolve(null);
+  const cached = cache.get(url);
+  if (cached && cached.expires > Date.now()) return cached.result;
+  pruneCache();
+  const result = queueLookup(url);
+  cache.set(url, { result, expires: Date.now() + cacheTTL });
+  return result;
+};
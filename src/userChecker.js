@@ -0,0 +1,147 @@
+import log from './log';
+import {
+  addMissedCheck, bulkDeleteUsers, getUsersForSanityCheck, resetMissedChecks,
+} from './db/user';
+import { getUserSubs } from './db/subs';
+import { getState, setState } from './db/state';
+import { sanityCheck as dbSanityCheck } from './db';
+import updateAccount from './accountUpdates';
+import batchedLookup from './batchedLookup';
+
+// How many users we check in one batch
+const batchSize = Number(process.env.USERS_BATCH_SIZE) || 500;
+// Delay between two batches, in seconds
+const batchDelay = Number(process.env.USERS_CHECK_TIMEOUT) || 1800;
+// How many checks in a row a user has to fail before we remove them
+const maxMisses = Number(process.env.USERS_CHECK_MAX_MISSES) || 3;
+// Where we remember the last user we checked
+const CURSOR_KEY = 'usersCheckCursor';
+
+// What a lookup told us about a user:
+// 'active' and 'protected' users are still around, 'suspended' and 'deleted' ones are misses,
+// 'unknown' means Twitter couldn't tell us and we'll find out next time
+const userStatus = (id, { data = [], errors = [] }) => {
+  const user = data.find((u) => u.id === id);
+  if (user) return user.protected ? 'protected' : 'active';
+  const error = errors.find(({ resource_id: resourceId, value }) => (resourceId || value) === id);
+  if (!error) return 'unknown';
+  if (error.title === 'Forbidden' && /suspended/i.test(error.detail || '')) return 'suspended';
+  if (error.title === 'Not Found Error') return 'deleted';
+  return 'unknown';
+};
+
+// Goes through our Twitter users one batch at a time, looking for accounts that are gone.
+// Users are only removed after failing several checks in a row,
+// so a bad answer from Twitter can't make us drop them.
+// Where we stopped is saved in the database, so a restart picks up from there,
+// and once we've checked everyone we start over.
+class UserChecker {
+  // request(endpoint, fn) calls fn with our client once the endpoint's rate limit allows it,
+  // notifyRemoval is called for each channel that lost a subscription,
+  // usersRemoved once we removed users, so our streams stop following them
+  constructor(request, notifyRemoval, usersRemoved) {
+    this.request = request;
+    this.notifyRemoval = notifyRemoval;
+    this.usersRemoved = usersRemoved;
+    this.timeout = null;
+  }
+
+  start() {
+    if (this.timeout) return;
+    log(`⚙️ Checking ${batchSize} Twitter users every ${batchDelay}s`);
+    this.schedule(0);
+  }
+
+  schedule(delay = batchDelay * 1000) {
+    this.timeout = setTimeout(() => {
+      this.timeout = null;
+      this.check();
+    }, delay);
+  }
+
+  // Returns the status of each of these users, and updates what we know of them
+  async lookup(ids) {
+    const res = await this.request('GET /2/users', (client) => client.v2.users(ids, { 'user.fields': ['protected'] }));
+    const statuses = ids.map((id) => userStatus(id, res));
+    await Promise.all(ids.map((id, idx) => {
+      if (statuses[idx] === 'unknown') return null;
+      const user = (res.data || []).find((u) => u.id === id);
+      return updateAccount(id, { handle: user ? user.username : null, status: statuses[idx] });
+    }));
+    return statuses;
+  }
+
+  // Removes users who missed too many checks and tells their subscribers why
+  async removeUsers(users) {
+    // Their subscriptions are gone once we remove them
+    const subs = await Promise.all(users.map(({ twitterId }) => getUserSubs(twitterId)));
+    const removed = await bulkDeleteUsers(users.map(({ twitterId }) => twitterId));
+    users.forEach(({ name, status }, idx) => subs[idx].forEach(
+      ({ channelId, isDM }) => this.notifyRemoval({ channelId, isDM }, { name, status }),
+    ));
+    await dbSanityCheck();
+    this.usersRemoved();
+    return removed;
+  }
+
+  // Checks the next batch of users and returns the ID of the last one we checked.
+  // Returns null once we've checked everyone.
+  async checkBatch(cursor) {
+    const users = await getUsersForSanityCheck(batchSize, cursor);
+    if (users.length === 0) return null;
+    const counts = {
+      active: 0, protected: 0, suspended: 0, deleted: 0, unknown: 0,
+    };
+    let removed = 0;
+    let lastChecked = cursor;
+    try {
+      await batchedLookup(users, async (chunk) => {
+        const statuses = await this.lookup(chunk.map(({ twitterId }) => twitterId));
+        statuses.forEach((status) => { counts[status] += 1; });
+        const found = chunk.filter((u, idx) => statuses[idx] === 'active' || statuses[idx] === 'protected');
+        const missed = chunk
+          .map((u, idx) => ({ ...u, status: statuses[idx] }))
+          .filter(({ status }) => status === 'suspended' || status === 'deleted');
+        if (found.length > 0) await resetMissedChecks(found.map(({ twitterId }) => twitterId));
+        if (missed.length > 0) {
+          const misses = new Map((await addMissedCheck(missed.map(({ twitterId }) => twitterId)))
+            .map(({ twitterId, missedChecks }) => [twitterId, missedChecks]));
+          const gone = missed.filter(({ twitterId }) => misses.get(twitterId) >= maxMisses);
+          if (gone.length > 0) removed += await this.removeUsers(gone);
+        }
+        lastChecked = chunk[chunk.length - 1].twitterId;
+      });
+    } catch (e) {
+      // We'll try the rest again later, save what we've done so far
+      e.lastChecked = lastChecked;
+      throw e;
+    }
+    log(`⚙️ User sanity check: checked ${users.length} users, ${counts.active} active, ${counts.protected} protected, ${counts.suspended} suspended, ${counts.deleted} deleted, ${counts.unknown} unknown. Removed ${removed} users.`);
+    return users.length < batchSize ? null : lastChecked;
+  }
+
+  async check() {
+    let delay = batchDelay * 1000;
+    let cursor = null;
+    try {
+      cursor = await getState(CURSOR_KEY);
+      const next = await this.checkBatch(cursor);
+      if (!next) log('✅ Users sanity check completed, the next batch starts over from the first user');
+      await setState(CURSOR_KEY, next);
+    } catch (e) {
+      if (e.rateLimitError && e.rateLimit) {
+        delay = Math.max(e.rateLimit.reset * 1000 - Date.now(), 0) + 1000;
+        log(`⚙️ User sanity check hit the rate limit, resuming in ${delay}ms`);
+      } else {
+        log('❌ Error during the users sanity check, trying again later:');
+        log(e.data || e);
+      }
+      if (e.lastChecked && e.lastChecked !== cursor) {
+        await setState(CURSOR_KEY, e.lastChecked).catch(() => null);
+      }
+    }
+    this.schedule(delay);
+  }
+}
+
+export default UserChecker;
@@ -0,0 +1,51 @@
+// This module picks which version of a video we post
+// Twitter gives us every video in several variants, each with its own bitrate
+
+export type VideoVariant = {
+  contentType: string;
+  bitrate: number;
+  url: string;
+}
+
+// Anything above this bitrate is never picked, 0 means no limit
+const maxBitrate = Number(process.env.VIDEO_MAX_BITRATE) || 0;
+// 'highest' picks the best quality that fits, 'lowest' the smallest file
+const preference = process.env.VIDEO_VARIANT === 'lowest' ? 'lowest' : 'highest';
+
+// Removes the query string Twitter puts at the end of some video urls
+export const stripParams = (url: string): string => {
+  const paramIdx = url.lastIndexOf('?');
+  const hasParam = paramIdx !== -1 && paramIdx > url.lastIndexOf('/');
+  return hasParam ? url.substring(0, paramIdx) : url;
+};
+
+// Estimates a variant's size in bytes from its bitrate, in bits per second.
+// GIFs have a bitrate of 0, they're small enough that we don't care.
+export const estimateSize = (bitrate: number, durationMs: number | null): number => Math.ceil(
+  ((bitrate || 0) * (durationMs || 0)) / 8000,
+);
+
+// Returns the mp4 variants we're allowed to pick, in order of preference
+export const usableVariants = (variants: VideoVariant[]): VideoVariant[] => variants
+  .filter(({ contentType, bitrate }) => contentType === 'video/mp4' && (!maxBitrate || (bitrate || 0) <= maxBitrate))
+  .sort((a, b) => (preference === 'lowest' ? a.bitrate - b.bitrate : b.bitrate - a.bitrate));
+
+// Picks the variant to attach to a message, or null if none fits in sizeLimit bytes
+export const pickVariant = (
+  variants: VideoVariant[],
+  durationMs: number | null,
+  sizeLimit: number,
+): VideoVariant | null => usableVariants(variants)
+  .find(({ bitrate }) => estimateSize(bitrate, durationMs) <= sizeLimit) || null;
+
+// Picks the variant we link to when we can't attach the video
+export const linkVariant = (variants: VideoVariant[]): VideoVariant | null => {
+  const usable = usableVariants(variants);
+  return usable.length > 0 ? usable[0] : null;
+};
+
+// Formats a duration as m:ss
+export const formatDuration = (durationMs: number): string => {
+  const seconds = Math.round(durationMs / 1000);
+  return `${Math.floor(seconds / 60)}:${`${seconds % 60}`.padStart(2, '0')}`;
+};
@@ -0,0 +1,81 @@
+import { describe, expect, test } from '@jest/globals';
+import { nextDigest, normalizeDigest } from '../src/digest';
+
+// When the digest after this time goes out, as an ISO string
+const next = (schedule: string, since: string, timezone: string | null = null) => new Date(
+  nextDigest(schedule, Date.parse(since), timezone),
+).toISOString();
+
+describe('normalizeDigest', () => {
+  test('stores daily digests with their time', () => {
+    expect(normalizeDigest('Daily')).toBe('daily 09:00');
+    expect(normalizeDigest('daily 7:05')).toBe('daily 07:05');
+    expect(normalizeDigest(' hourly ')).toBe('hourly');
+  });
+
+  test('refuses what isn\'t a schedule', () => {
+    expect(normalizeDigest('daily 24:00')).toBeNull();
+    expect(normalizeDigest('hourly 10:00')).toBeNull();
+    expect(normalizeDigest('weekly')).toBeNull();
+  });
+});
+
+describe('nextDigest in hourly mode', () => {
+  test('goes out at the start of the next hour', () => {
+    expect(next('hourly', '2022-06-01T10:15:00Z')).toBe('2022-06-01T11:00:00.000Z');
+    expect(next('hourly', '2022-06-01T10:00:00Z')).toBe('2022-06-01T11:00:00.000Z');
+  });
+
+  test('follows the hours of timezones that are half an hour off', () => {
+    // 15:45 in Kolkata
+    expect(next('hourly', '2022-06-01T10:15:00Z', 'Asia/Kolkata')).toBe('2022-06-01T10:30:00.000Z');
+  });
+
+  test('goes out an hour later when clocks go forward', () => {
+    // 01:30 EST, clocks go from 02:00 EST to 03:00 EDT
+    expect(next('hourly', '2022-03-13T06:30:00Z', 'America/New_York')).toBe('2022-03-13T07:00:00.000Z');
+  });
+
+  test('goes out every hour while clocks go back', () => {
+    // 01:30 EDT, clocks go from 02:00 EDT back to 01:00 EST
+    expect(next('hourly', '2022-11-06T05:30:00Z', 'America/New_York')).toBe('2022-11-06T06:00:00.000Z');
+    expect(next('hourly', '2022-11-06T06:00:00Z', 'America/New_York')).toBe('2022-11-06T07:00:00.000Z');
+  });
+
+  test('treats unknown schedules and timezones as hourly in UTC', () => {
+    expect(next('weekly', '2022-06-01T10:15:00Z', 'Mars/Olympus')).toBe('2022-06-01T11:00:00.000Z');
+  });
+});
+
+describe('nextDigest in daily mode', () => {
+  test('goes out at 09:00 by default', () => {
+    expect(next('daily', '2022-06-01T08:00:00Z')).toBe('2022-06-01T09:00:00.000Z');
+    expect(next('daily', '2022-06-01T09:00:00Z')).toBe('2022-06-02T09:00:00.000Z');
+  });
+
+  test('goes out at that time in the guild\'s timezone', () => {
+    // 20:00 in Tokyo, the previous evening in UTC
+    expect(next('daily 08:30', '2022-06-01T12:00:00Z', 'Asia/Tokyo')).toBe('2022-06-01T23:30:00.000Z');
+  });
+
+  test('keeps the local time across a change to summer time', () => {
+    // 10:00 CET the day before clocks go forward in Paris, 09:00 CEST is 07:00 UTC
+    expect(next('daily', '2022-03-26T09:00:00Z', 'Europe/Paris')).toBe('2022-03-27T07:00:00.000Z');
+  });
+
+  test('keeps the local time across a change to winter time', () => {
+    // 10:00 CEST the day before clocks go back in Paris, 09:00 CET is 08:00 UTC
+    expect(next('daily', '2022-10-29T08:00:00Z', 'Europe/Paris')).toBe('2022-10-30T08:00:00.000Z');
+  });
+
+  test('goes out once clocks skipped past a time that doesn\'t exist that day', () => {
+    // 02:30 doesn't exist in New York that day, it goes out at 03:30 EDT
+    expect(next('daily 02:30', '2022-03-12T08:00:00Z', 'America/New_York')).toBe('2022-03-13T07:30:00.000Z');
+  });
+
+  test('goes out once for a time that happens twice', () => {
+    // 01:30 happens at 05:30 UTC, then at 06:30 UTC when clocks go back
+    expect(next('daily 01:30', '2022-11-05T08:00:00Z', 'America/New_York')).toBe('2022-11-06T05:30:00.000Z');
+    expect(next('daily 01:30', '2022-11-06T06:00:00Z', 'America/New_York')).toBe('2022-11-07T06:30:00.000Z');
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, expect, test } from '@jest/globals';
+import { filtersMatch, parseFilter, validateFilter } from '../src/filters';
+
+const tweet = (text: string, hashtags: string[] = []) => ({ text, hashtags });
+
+// Whether a tweet passes a subscription that only includes this filter
+const includes = (filter: string, text: string, hashtags: string[] = []) => filtersMatch(
+  { include: filter, exclude: null },
+  tweet(text, hashtags),
+);
+
+describe('parseFilter', () => {
+  test('tells keywords, hashtags and regexes apart', () => {
+    expect(parseFilter('cat "hot dog" #News /fo+/i').map(({ type, value }) => ({ type, value }))).toEqual([
+      { type: 'keyword', value: 'cat' },
+      { type: 'keyword', value: 'hot dog' },
+      { type: 'hashtag', value: 'news' },
+      { type: 'regex', value: '/fo+/i' },
+    ]);
+  });
+
+  test('returns the first invalid term', () => {
+    expect(validateFilter('cat /(a/')).toBe('/(a/');
+    // RE2 doesn't do backreferences
+    expect(validateFilter('/(a)\\1/')).toBe('/(a)\\1/');
+    expect(validateFilter('/a/g')).toBe('/a/g');
+    expect(validateFilter(`/${'a'.repeat(101)}/`)).toBe(`/${'a'.repeat(101)}/`);
+    expect(validateFilter(Array.from({ length: 21 }, (v, idx) => `w${idx}`).join(' '))).toBe('w20');
+    expect(validateFilter('cat #dog /b+/')).toBeNull();
+  });
+});
+
+describe('keywords', () => {
+  test('match whole words, whatever their case', () => {
+    expect(includes('cat', 'My CAT is asleep')).toBe(true);
+    expect(includes('cat', 'cat.')).toBe(true);
+    expect(includes('cat', 'Concatenate this')).toBe(false);
+    expect(includes('cat', 'cat_food')).toBe(false);
+  });
+
+  test('match words in any alphabet', () => {
+    expect(includes('café', 'Un café, vite')).toBe(true);
+    expect(includes('кот', 'мой кот спит')).toBe(true);
+    expect(includes('кот', 'который')).toBe(false);
+  });
+
+  test('match quoted words together', () => {
+    expect(includes('"hot dog"', 'I want a hot dog')).toBe(true);
+    expect(includes('"hot dog"', 'A hot summer for my dog')).toBe(false);
+  });
+
+  test('match characters regexes would treat specially', () => {
+    expect(includes('c++', 'I write c++ for a living')).toBe(true);
+    expect(includes('c++', 'I write c for a living')).toBe(false);
+  });
+});
+
+describe('hashtags', () => {
+  test('match the tweet\'s hashtags, whatever their case', () => {
+    expect(includes('#news', 'Read this', ['News'])).toBe(true);
+    expect(includes('#news', 'Read this', ['newsletter'])).toBe(false);
+  });
+
+  test('match hashtags in the text', () => {
+    expect(includes('#news', 'Breaking #NEWS today')).toBe(true);
+    expect(includes('#news', 'Breaking news today')).toBe(false);
+    expect(includes('#news', 'Breaking #newsletter')).toBe(false);
+  });
+});
+
+describe('regexes', () => {
+  test('match anywhere in the text', () => {
+    expect(includes('/\\d{3}-\\d{4}/', 'Call 555-1234 now')).toBe(true);
+    expect(includes('/^release/', 'Pre-release notes')).toBe(false);
+  });
+
+  test('are case-sensitive unless flagged with i', () => {
+    expect(includes('/Release/', 'release notes')).toBe(false);
+    expect(includes('/Release/i', 'release notes')).toBe(true);
+  });
+
+  test('match patterns that would backtrack forever in linear time', () => {
+    expect(includes('/(a+)+$/', `${'a'.repeat(5000)}!`)).toBe(false);
+  });
+});
+
+describe('filtersMatch', () => {
+  test('lets everything through without filters', () => {
+    expect(filtersMatch({ include: null, exclude: null }, tweet('anything'))).toBe(true);
+  });
+
+  test('needs any of the included terms', () => {
+    expect(includes('cat dog', 'a dog')).toBe(true);
+    expect(includes('cat dog', 'a bird')).toBe(false);
+  });
+
+  test('refuses tweets with any of the excluded terms', () => {
+    const filters = { include: '#pets', exclude: 'dog /sale/i' };
+    expect(filtersMatch(filters, tweet('My cat', ['pets']))).toBe(true);
+    expect(filtersMatch(filters, tweet('My dog', ['pets']))).toBe(false);
+    expect(filtersMatch(filters, tweet('Cats on SALE', ['pets']))).toBe(false);
+    expect(filtersMatch(filters, tweet('My cat'))).toBe(false);
+  });
+});
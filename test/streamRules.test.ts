@@ -0,0 +1,100 @@
+import {
+  describe, expect, jest, test, afterEach,
+} from '@jest/globals';
+
+// The rules cap is read when src/streamRules.js loads,
+// so each test loads its own copy with the environment it needs
+const loadStreamRules = (env: { [key: string]: string } = {}) => {
+  let streamRules;
+  Object.assign(process.env, env);
+  jest.isolateModules(() => {
+    streamRules = require('../src/streamRules');
+  });
+  return streamRules;
+};
+
+// Twitter IDs can be 19 digits long, 18 of them fit in a rule
+const userIds = (count: number, from = 0) => Array.from(
+  { length: count },
+  (v, idx) => `${1000000000000000000n + BigInt(from + idx)}`,
+);
+
+afterEach(() => {
+  delete process.env.TWITTER_MAX_RULES;
+});
+
+describe('packRules', () => {
+  test('fills rules up to 512 characters', () => {
+    const { packRules } = loadStreamRules();
+    // 24 users of 10 digits and 3 of 11 take exactly 512 characters
+    const ids = Array.from({ length: 24 }, (v, idx) => `${1000000000 + idx}`)
+      .concat(Array.from({ length: 3 }, (v, idx) => `${10000000000 + idx}`));
+    const rules = packRules(ids);
+    expect(rules).toHaveLength(1);
+    expect(rules[0]).toHaveLength(512);
+    expect(rules[0].startsWith(`from:${ids[0]} OR from:${ids[1]}`)).toBe(true);
+  });
+
+  test('starts a new rule when the next user would go over 512 characters', () => {
+    const { packRules, ruleUserIds } = loadStreamRules();
+    const ids = userIds(19);
+    const rules = packRules(ids);
+    expect(rules).toHaveLength(2);
+    expect(rules.every((rule) => rule.length <= 512)).toBe(true);
+    expect(ruleUserIds(rules[0])).toEqual(ids.slice(0, 18));
+    expect(ruleUserIds(rules[1])).toEqual(ids.slice(18));
+  });
+});
+
+describe('diffRules', () => {
+  const currentRules = (packRules, ...groups: string[][]) => groups.map((ids, idx) => ({
+    id: `rule${idx}`,
+    value: packRules(ids)[0],
+  }));
+
+  test('keeps rules whose users are all still followed', () => {
+    const { diffRules, packRules } = loadStreamRules();
+    const rules = currentRules(packRules, userIds(18), userIds(18, 18));
+    expect(diffRules(rules, userIds(36))).toEqual({ add: [], delete: [], dropped: [] });
+  });
+
+  test('only adds a rule for new users when the others are full', () => {
+    const { diffRules, packRules } = loadStreamRules();
+    const rules = currentRules(packRules, userIds(18), userIds(18, 18));
+    expect(diffRules(rules, userIds(37))).toEqual({
+      add: [`from:${userIds(1, 36)[0]}`],
+      delete: [],
+      dropped: [],
+    });
+  });
+
+  test('only replaces the rule of a user we stopped following', () => {
+    const { diffRules, packRules } = loadStreamRules();
+    const rules = currentRules(packRules, userIds(18), userIds(18, 18));
+    const wanted = userIds(36).filter((id, idx) => idx !== 20);
+    expect(diffRules(rules, wanted)).toEqual({
+      add: packRules(wanted.slice(18)),
+      delete: ['rule1'],
+      dropped: [],
+    });
+  });
+
+  test('drops the users that would take more than TWITTER_MAX_RULES rules', () => {
+    const { diffRules, maxRules, packRules } = loadStreamRules({ TWITTER_MAX_RULES: '2' });
+    expect(maxRules).toBe(2);
+    const ids = userIds(40);
+    expect(diffRules([], ids)).toEqual({
+      add: packRules(ids.slice(0, 36)),
+      delete: [],
+      dropped: ids.slice(36),
+    });
+  });
+
+  test('defaults to the 5 rules Essential access allows', () => {
+    const { diffRules, maxRules } = loadStreamRules();
+    expect(maxRules).toBe(5);
+    const { add, dropped } = diffRules([], userIds(91));
+    expect(add).toHaveLength(5);
+    expect(dropped).toEqual(userIds(1, 90));
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  renderTemplate, templateMentions, TemplateVars, validateTemplate,
+} from '../src/templates';
+
+const vars: TemplateVars = {
+  author: 'Alice',
+  handle: 'alice',
+  url: 'https://twitter.com/alice/status/1',
+  type: 'tweet',
+  text: 'Hello <@123> @everyone',
+  hashtags: '',
+};
+
+describe('validateTemplate', () => {
+  test('accepts placeholders, conditions and escaped braces', () => {
+    expect(validateTemplate(null)).toBeNull();
+    expect(validateTemplate('{author} tweeted: {url}')).toBeNull();
+    expect(validateTemplate('{if retweet|quote}{author} shared{else}{author} said{end} {{hi}}')).toBeNull();
+    expect(validateTemplate('{if !hashtags}no tags{end}')).toBeNull();
+  });
+
+  test('returns the first invalid part', () => {
+    expect(validateTemplate('{author} {nope}')).toBe('{nope}');
+    expect(validateTemplate('{if nope}x{end}')).toBe('{if nope}');
+    expect(validateTemplate('{if tweet}x')).toBe('{if tweet}');
+    expect(validateTemplate('x{end}')).toBe('{end}');
+    expect(validateTemplate('x{else}')).toBe('{else}');
+    expect(validateTemplate('{if tweet}x{else}y{else}z{end}')).toBe('{else}');
+    expect(validateTemplate('{author} }')).toBe('}');
+  });
+});
+
+describe('renderTemplate', () => {
+  test('replaces placeholders', () => {
+    expect(renderTemplate('{author} (@{handle}) posted a {type}: {url}', vars))
+      .toBe('Alice (@alice) posted a tweet: https://twitter.com/alice/status/1');
+  });
+
+  test('only shows what matches the tweet', () => {
+    const template = '{if retweet|quote}{author} shared this{else}New from {author}{end}{if hashtags} {hashtags}{end}';
+    expect(renderTemplate(template, vars)).toBe('New from Alice');
+    expect(renderTemplate(template, { ...vars, type: 'quote', hashtags: '#a #b' })).toBe('Alice shared this #a #b');
+    expect(renderTemplate('{if !reply}not a reply{end}', vars)).toBe('not a reply');
+    expect(renderTemplate('{if !reply}not a reply{end}', { ...vars, type: 'reply' })).toBeNull();
+  });
+
+  test('nests conditions', () => {
+    const template = '{if tweet}{if hashtags}tagged{else}untagged{end}{end}';
+    expect(renderTemplate(template, vars)).toBe('untagged');
+    expect(renderTemplate(template, { ...vars, hashtags: '#a' })).toBe('tagged');
+  });
+
+  test('turns double braces into literal ones', () => {
+    expect(renderTemplate('{{author}} is {author}', vars)).toBe('{author} is Alice');
+  });
+
+  test('sends messages that aren\'t valid templates as they are', () => {
+    expect(renderTemplate('Look {here}', vars)).toBe('Look {here}');
+  });
+
+  test('returns null when there\'s nothing to send', () => {
+    expect(renderTemplate(null, vars)).toBeNull();
+    expect(renderTemplate('{if retweet}{author}{end}', vars)).toBeNull();
+  });
+});
+
+describe('templateMentions', () => {
+  test('allows the users and roles written in the template', () => {
+    expect(templateMentions('<@!42> <@&7> {author} <@43>')).toEqual({
+      parse: [], users: ['42', '43'], roles: ['7'],
+    });
+  });
+
+  test('allows @everyone and @here when they\'re written in the template', () => {
+    expect(templateMentions('@here {text}').parse).toEqual(['everyone']);
+    expect(templateMentions('{if retweet}@everyone{end}').parse).toEqual(['everyone']);
+  });
+
+  test('allows nothing the tweet could bring', () => {
+    expect(templateMentions('{text} by {author}')).toEqual({ parse: [], users: [], roles: [] });
+    expect(templateMentions(null)).toEqual({ parse: [], users: [], roles: [] });
+  });
+
+  test('doesn\'t join a mention from text around a placeholder', () => {
+    expect(templateMentions('<@{handle}>').users).toEqual([]);
+  });
+});
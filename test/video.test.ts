@@ -0,0 +1,123 @@
+import {
+  describe, expect, jest, test, afterEach,
+} from '@jest/globals';
+
+// The bitrate limit and preference are read when src/video.ts loads,
+// so each test loads its own copy with the environment it needs
+const loadVideo = (env: { [key: string]: string } = {}) => {
+  let video;
+  Object.assign(process.env, env);
+  jest.isolateModules(() => {
+    video = require('../src/video');
+  });
+  return video;
+};
+
+const mp4 = (bitrate: number) => ({ contentType: 'video/mp4', bitrate, url: `https://video.twimg.com/${bitrate}.mp4?tag=12` });
+const variants = [
+  { contentType: 'application/x-mpegURL', bitrate: undefined, url: 'https://video.twimg.com/pl.m3u8' },
+  mp4(632000),
+  mp4(2176000),
+  mp4(950000),
+];
+
+afterEach(() => {
+  delete process.env.VIDEO_MAX_BITRATE;
+  delete process.env.VIDEO_VARIANT;
+});
+
+describe('estimateSize', () => {
+  test('converts bits per second over the duration to bytes', () => {
+    const { estimateSize } = loadVideo();
+    expect(estimateSize(800000, 10000)).toBe(1000000);
+  });
+
+  test('counts GIFs and unknown durations as empty', () => {
+    const { estimateSize } = loadVideo();
+    expect(estimateSize(0, 10000)).toBe(0);
+    expect(estimateSize(800000, null)).toBe(0);
+  });
+});
+
+describe('usableVariants', () => {
+  test('keeps mp4 variants, best quality first', () => {
+    const { usableVariants } = loadVideo();
+    expect(usableVariants(variants).map(({ bitrate }) => bitrate)).toEqual([2176000, 950000, 632000]);
+  });
+
+  test('drops variants above VIDEO_MAX_BITRATE', () => {
+    const { usableVariants } = loadVideo({ VIDEO_MAX_BITRATE: '1000000' });
+    expect(usableVariants(variants).map(({ bitrate }) => bitrate)).toEqual([950000, 632000]);
+  });
+
+  test('puts the smallest variant first when VIDEO_VARIANT is lowest', () => {
+    const { usableVariants } = loadVideo({ VIDEO_VARIANT: 'lowest' });
+    expect(usableVariants(variants).map(({ bitrate }) => bitrate)).toEqual([632000, 950000, 2176000]);
+  });
+});
+
+describe('pickVariant', () => {
+  const MB = 1024 * 1024;
+
+  test('picks the best variant that fits in the upload limit', () => {
+    const { pickVariant } = loadVideo();
+    // 40 seconds: 10.9MB at 2176kbps, 4.8MB at 950kbps
+    expect(pickVariant(variants, 40000, 8 * MB).bitrate).toBe(950000);
+    expect(pickVariant(variants, 40000, 50 * MB).bitrate).toBe(2176000);
+  });
+
+  test('picks longer videos at a lower bitrate', () => {
+    const { pickVariant } = loadVideo();
+    // 80 seconds: 9.5MB at 950kbps, 6.32MB at 632kbps
+    expect(pickVariant(variants, 80000, 8 * MB).bitrate).toBe(632000);
+  });
+
+  test('returns null when no variant fits', () => {
+    const { pickVariant } = loadVideo();
+    expect(pickVariant(variants, 600000, 8 * MB)).toBeNull();
+  });
+
+  test('attaches the smallest variant when VIDEO_VARIANT is lowest', () => {
+    const { pickVariant } = loadVideo({ VIDEO_VARIANT: 'lowest' });
+    expect(pickVariant(variants, 30000, 50 * MB).bitrate).toBe(632000);
+  });
+
+  test('never attaches variants above VIDEO_MAX_BITRATE', () => {
+    const { pickVariant } = loadVideo({ VIDEO_MAX_BITRATE: '700000' });
+    expect(pickVariant(variants, 30000, 50 * MB).bitrate).toBe(632000);
+  });
+
+  test('always attaches GIFs', () => {
+    const { pickVariant } = loadVideo();
+    expect(pickVariant([mp4(0)], 5000, 8 * MB).bitrate).toBe(0);
+  });
+});
+
+describe('linkVariant', () => {
+  test('links the preferred variant, whatever its size', () => {
+    const { linkVariant } = loadVideo();
+    expect(linkVariant(variants).bitrate).toBe(2176000);
+  });
+
+  test('returns null without mp4 variants', () => {
+    const { linkVariant } = loadVideo();
+    expect(linkVariant(variants.slice(0, 1))).toBeNull();
+  });
+});
+
+describe('formatDuration', () => {
+  test('formats durations as m:ss', () => {
+    const { formatDuration } = loadVideo();
+    expect(formatDuration(5000)).toBe('0:05');
+    expect(formatDuration(83400)).toBe('1:23');
+    expect(formatDuration(600000)).toBe('10:00');
+  });
+});
+
+describe('stripParams', () => {
+  test('removes the query string from video urls', () => {
+    const { stripParams } = loadVideo();
+    expect(stripParams('https://video.twimg.com/vid/720x1280/a.mp4?tag=12')).toBe('https://video.twimg.com/vid/720x1280/a.mp4');
+    expect(stripParams('https://video.twimg.com/vid/a.mp4')).toBe('https://video.twimg.com/vid/a.mp4');
+  });
+});